@@ -43,10 +43,12 @@ const Alerts = (() => {
             keywords: alertData.keywords || [],
             themes: alertData.themes || [],
             preferences: {
-                categories: alertData.categories || Object.keys(CONFIG.JOB_CATEGORIES),
-                states: alertData.states || Object.keys(CONFIG.NE_STATES),
+                categories: alertData.categories ||
+                    Object.keys(CONFIG.JOB_CATEGORIES).filter(cat => !CONFIG.JOB_CATEGORIES[cat].outsideRegion),
+                states: alertData.states || Regions.getStateCodes(),
                 minSalary: alertData.minSalary || 0,
-                jobTypes: alertData.jobTypes || ['FULLTIME']
+                jobTypes: alertData.jobTypes || ['FULLTIME'],
+                seniority: alertData.seniority || Object.keys(CONFIG.SENIORITY_LEVELS)
             },
             frequency: alertData.frequency || 'daily',
             lastChecked: null,
@@ -161,33 +163,45 @@ const Alerts = (() => {
     function checkAlerts(jobs) {
         const alerts = getAlerts();
         const seenJobs = getSeenJobs();
+        const blocklist = Blocklist.get();
         const results = {
             totalNew: 0,
             alertResults: []
         };
 
         for (const alert of alerts) {
+            const keywordTerms = Filters.compileTerms(alert.keywords);
+
             const matchingJobs = jobs.filter(job => {
-                // Skip already-seen jobs
-                if (seenJobs.has(job.job_id)) return false;
-
-                // Check keywords
-                const hasKeywordMatch = alert.keywords.some(keyword => {
-                    const kw = keyword.toLowerCase();
-                    return (job.job_title || '').toLowerCase().includes(kw) ||
-                           (job.job_description || '').toLowerCase().includes(kw);
-                });
+                // Skip already-seen jobs, including roles seen before through another publisher
+                if (Dedupe.getClusterIds(job).some(id => seenJobs.has(id))) return false;
+
+                // Never alert on blocklisted jobs
+                if (Filters.getBlockReason(job, blocklist)) return false;
 
-                if (!hasKeywordMatch && alert.keywords.length > 0) return false;
+                // Check keywords (whole words; a multi-word keyword must appear as a phrase)
+                const hasKeywordMatch = keywordTerms.some(term =>
+                    Filters.matchesText(job.job_title, term) ||
+                    Filters.matchesText(job.job_description, term)
+                );
+
+                if (!hasKeywordMatch && keywordTerms.length > 0) return false;
 
                 // Check category
                 const qual = job._qualification || Filters.isQualifyingJob(job);
                 if (!qual.qualifies) return false;
                 if (!alert.preferences.categories.includes(qual.category)) return false;
 
-                // Check salary
+                // Check state (the region's categories only)
+                if (!Filters.matchesStates(job, qual.category, alert.preferences.states)) return false;
+
+                // Check seniority (alerts saved before it existed take every level)
+                if (alert.preferences.seniority && !Filters.matchesSeniority(job, alert.preferences.seniority)) return false;
+
+                // Check salary (annualized)
                 if (alert.preferences.minSalary > 0) {
-                    const jobSalary = job.job_max_salary || job.job_min_salary || 0;
+                    const annual = Utils.getAnnualSalary(job);
+                    const jobSalary = annual.max || annual.min || 0;
                     if (jobSalary > 0 && jobSalary < alert.preferences.minSalary) return false;
                 }
 
@@ -205,7 +219,7 @@ const Alerts = (() => {
 
         // Mark all checked jobs as seen
         if (jobs.length > 0) {
-            markJobsSeen(jobs.map(j => j.job_id));
+            markJobsSeen(jobs.flatMap(Dedupe.getClusterIds));
         }
 
         // Send notification if there are new matches
@@ -246,11 +260,15 @@ const Alerts = (() => {
 
         listEl.innerHTML = alerts.map(alert => {
             const categories = alert.preferences.categories.map(cat => {
-                const catInfo = CONFIG.JOB_CATEGORIES[cat];
+                const catInfo = CONFIG.JOB_CATEGORIES[cat] && Regions.getCategory(cat);
                 return catInfo ? `<span class="badge ${catInfo.cssClass}">${Utils.sanitize(catInfo.label)}</span>` : '';
             }).join('');
 
             const states = alert.preferences.states.join(', ');
+            const seniority = alert.preferences.seniority || Object.keys(CONFIG.SENIORITY_LEVELS);
+            const seniorityText = seniority.length === Object.keys(CONFIG.SENIORITY_LEVELS).length
+                ? 'Any'
+                : seniority.map(level => CONFIG.SENIORITY_LEVELS[level]?.label || level).join(', ') || 'None';
             const salary = alert.preferences.minSalary > 0
                 ? `$${(alert.preferences.minSalary / 1000).toFixed(0)}k+`
                 : 'Any';
@@ -287,6 +305,7 @@ const Alerts = (() => {
 
                     <div class="alert-card-details">
                         <span class="alert-card-detail">States: ${Utils.sanitize(states)}</span>
+                        <span class="alert-card-detail">Seniority: ${Utils.sanitize(seniorityText)}</span>
                         <span class="alert-card-detail">Min Salary: ${salary}</span>
                         <span class="alert-card-detail">Frequency: ${Utils.sanitize(alert.frequency)}</span>
                     </div>
@@ -330,7 +349,7 @@ const Alerts = (() => {
         categoryBoxes.forEach(cb => {
             cb.checked = alert
                 ? alert.preferences.categories.includes(cb.value)
-                : true;
+                : !CONFIG.JOB_CATEGORIES[cb.value]?.outsideRegion;
         });
 
         // Set state checkboxes
@@ -349,6 +368,14 @@ const Alerts = (() => {
                 : cb.value === 'FULLTIME';
         });
 
+        // Set seniority checkboxes
+        const seniorityBoxes = form.querySelectorAll('input[name="alert-seniority"]');
+        seniorityBoxes.forEach(cb => {
+            cb.checked = alert && alert.preferences.seniority
+                ? alert.preferences.seniority.includes(cb.value)
+                : true;
+        });
+
         // Store editing state
         form.dataset.editingId = alertId || '';
 
@@ -395,6 +422,8 @@ const Alerts = (() => {
             .map(cb => cb.value);
         const jobTypes = Array.from(form.querySelectorAll('input[name="alert-jobtype"]:checked'))
             .map(cb => cb.value);
+        const seniority = Array.from(form.querySelectorAll('input[name="alert-seniority"]:checked'))
+            .map(cb => cb.value);
         const minSalary = parseInt(document.getElementById('alert-min-salary')?.value || '0', 10);
         const frequency = document.getElementById('alert-frequency')?.value || 'daily';
 
@@ -404,12 +433,12 @@ const Alerts = (() => {
             updateAlert(editingId, {
                 keywords,
                 themes,
-                preferences: { categories, states, minSalary, jobTypes },
+                preferences: { categories, states, minSalary, jobTypes, seniority },
                 frequency
             });
             Utils.showToast('Alert updated successfully.', 'success');
         } else {
-            createAlert({ keywords, themes, categories, states, minSalary, jobTypes, frequency });
+            createAlert({ keywords, themes, categories, states, minSalary, jobTypes, seniority, frequency });
             // Request notification permission on first alert creation
             requestNotificationPermission();
             Utils.showToast('Alert created successfully.', 'success');
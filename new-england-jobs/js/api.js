@@ -1,9 +1,59 @@
 /**
  * New England Jobs - API Integration
- * Handles all communication with the JSearch RapidAPI
+ * Handles all communication with the JSearch RapidAPI and fallback providers
  */
 
 const JobsAPI = (() => {
+    /**
+     * Base class for API failures. `retryable` tells withRetry whether trying
+     * the same request again can help.
+     */
+    class ApiError extends Error {
+        /**
+         * @param {string} message - User-facing message
+         * @param {Object} details - { status: HTTP status (0 if none), provider: provider id }
+         */
+        constructor(message, { status = 0, provider = null } = {}) {
+            super(message);
+            this.name = this.constructor.name;
+            this.status = status;
+            this.provider = provider;
+            this.retryable = false;
+        }
+    }
+
+    /** Missing, invalid or unsubscribed API key (401/403) */
+    class AuthError extends ApiError {}
+
+    /** Too many requests, from the local limiter or the provider (429) */
+    class RateLimitError extends ApiError {
+        /**
+         * @param {string} message - User-facing message
+         * @param {Object} details - ApiError details plus { retryAfterMs: wait before
+         *                           retrying, or null if unknown; local: raised by the browser's own limiter }
+         */
+        constructor(message, { retryAfterMs = null, local = false, ...details } = {}) {
+            super(message, details);
+            this.retryAfterMs = retryAfterMs;
+            this.local = local;
+            this.retryable = retryAfterMs !== null && retryAfterMs <= CONFIG.MAX_RETRY_AFTER_MS;
+        }
+    }
+
+    /** The browser has no network connection */
+    class OfflineError extends ApiError {}
+
+    /** The monthly request budget (Quota) is used up */
+    class QuotaError extends ApiError {}
+
+    /** The provider failed: unreachable, 5xx or another unexpected status */
+    class UpstreamError extends ApiError {
+        constructor(message, details) {
+            super(message, details);
+            this.retryable = true;
+        }
+    }
+
     // Rate limiter state
     const requestLog = [];
 
@@ -21,6 +71,36 @@ const JobsAPI = (() => {
         return requestLog.length < CONFIG.RATE_LIMIT.maxRequests;
     }
 
+    /**
+     * Get how many requests the local rate limiter allows right now
+     * @returns {number} Requests left in the current window
+     */
+    function getAvailableRequests() {
+        return canMakeRequest() ? CONFIG.RATE_LIMIT.maxRequests - requestLog.length : 0;
+    }
+
+    /**
+     * Get how long until the local rate limiter allows another request
+     * @returns {number} Milliseconds (0 if a request is allowed now)
+     */
+    function getRateLimitResetMs() {
+        if (canMakeRequest()) return 0;
+        return Math.max(0, requestLog[0] + CONFIG.RATE_LIMIT.windowMs - Date.now());
+    }
+
+    /**
+     * Parse a Retry-After header (delay in seconds, or an HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} Milliseconds to wait, or null if absent/unparseable
+     */
+    function parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
     /**
      * Record a request for rate limiting
      */
@@ -44,6 +124,23 @@ const JobsAPI = (() => {
         return getApiKey().length > 0;
     }
 
+    /**
+     * Whether requests go through the key-hiding proxy (proxy/server.js)
+     * instead of straight to RapidAPI
+     * @returns {boolean} Proxy mode
+     */
+    function isProxyMode() {
+        return Boolean(CONFIG.PROXY_URL);
+    }
+
+    /**
+     * Whether searches can run at all: a key, the proxy, or replayed fixtures
+     * @returns {boolean} Whether searching is possible
+     */
+    function canSearch() {
+        return hasApiKey() || isProxyMode() || Fixtures.isReplaying();
+    }
+
     /**
      * Save API key to localStorage
      * @param {string} key - API key to save
@@ -54,67 +151,335 @@ const JobsAPI = (() => {
     }
 
     /**
-     * Make a request to the JSearch API
+     * Job data providers, tried in order. Each provider builds its own request
+     * and maps its response onto the JSearch-style job object that Filters and
+     * UI expect, so everything downstream stays provider-agnostic.
+     */
+    const PROVIDERS = [
+        {
+            id: 'jsearch',
+            label: 'JSearch',
+            host: CONFIG.RAPID_API_HOST,
+            baseUrl: CONFIG.API_BASE_URL,
+            searchEndpoint: 'search',
+            detailsEndpoint: 'job-details',
+            buildSearchParams: (params) => params,
+            extractJobs: (data) => data.data || [],
+            normalizeJob: (job) => job
+        },
+        {
+            id: 'jobs-realtime',
+            label: 'Jobs Search Realtime Data',
+            host: CONFIG.FALLBACK_API_HOST,
+            baseUrl: CONFIG.FALLBACK_API_URL,
+            searchEndpoint: 'search',
+            // No per-job endpoint; the search payload is all there is
+            detailsEndpoint: null,
+            buildSearchParams: buildFallbackSearchParams,
+            extractJobs: (data) => data.data || [],
+            normalizeJob: normalizeFallbackJob
+        }
+    ];
+
+    // Providers that recently failed, keyed by id -> timestamp until which they are skipped
+    const providerCooldowns = {};
+    // Consecutive retryable failures per provider id, reset by a success
+    const providerFailures = {};
+
+    /**
+     * Get providers in failover order, skipping any still cooling down
+     * @returns {Array<Object>} Providers to try
+     */
+    function getProviderOrder() {
+        const now = Date.now();
+        const available = PROVIDERS.filter(p => !providerCooldowns[p.id] || providerCooldowns[p.id] <= now);
+        // If everything is cooling down, try them all again rather than giving up
+        return available.length > 0 ? available : PROVIDERS;
+    }
+
+    /**
+     * Mark a provider as failing so later queries go straight to the next one
+     * @param {Object} provider - Provider that failed
+     */
+    function markProviderDown(provider) {
+        providerCooldowns[provider.id] = Date.now() + CONFIG.PROVIDER_COOLDOWN_MS;
+        providerFailures[provider.id] = 0;
+    }
+
+    /**
+     * Count a failover-worthy error against a provider. Quota and subscription
+     * errors cool it down at once; a retryable outage (5xx, unreachable) only
+     * after CONFIG.PROVIDER_FAILURES_BEFORE_COOLDOWN in a row, so one bad
+     * response doesn't send every later search to the fallback.
+     * @param {Object} provider - Provider that failed
+     * @param {Error} error - Error from fetchFromAPI
+     */
+    function recordProviderFailure(provider, error) {
+        if (!(error instanceof UpstreamError)) {
+            markProviderDown(provider);
+            return;
+        }
+        providerFailures[provider.id] = (providerFailures[provider.id] || 0) + 1;
+        if (providerFailures[provider.id] >= CONFIG.PROVIDER_FAILURES_BEFORE_COOLDOWN) {
+            markProviderDown(provider);
+        }
+    }
+
+    /**
+     * Create the error thrown when a search is cancelled
+     * @returns {Error} Error named 'AbortError', like the one fetch throws
+     */
+    function createAbortError() {
+        const error = new Error('Search cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Throw if the search owning this signal has been cancelled
+     * @param {AbortSignal|null} signal - Abort signal
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) throw createAbortError();
+    }
+
+    /**
+     * Whether an error comes from a cancelled search
+     * @param {Error} error - Error to check
+     * @returns {boolean} Whether it is an abort
+     */
+    function isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    /**
+     * Whether an error means the provider itself is unavailable (outage, quota,
+     * subscription) and the next provider should be tried
+     * @param {Error} error - Error thrown by fetchFromAPI
+     * @returns {boolean} Whether to fail over
+     */
+    function shouldFailOver(error) {
+        if (error instanceof UpstreamError) return true;
+        if (error instanceof RateLimitError) return !error.local;
+        // RapidAPI answers 403 when the key isn't subscribed to this provider
+        return error instanceof AuthError && error.status === 403;
+    }
+
+    /**
+     * Map generic search params onto the fallback provider's query format
+     * @param {Object} params - JSearch-style search params
+     * @returns {Object} Fallback provider params
+     */
+    function buildFallbackSearchParams(params) {
+        const fallbackParams = {
+            query: params.query,
+            page: params.page,
+            date_posted: params.date_posted
+        };
+        if (params.remote_jobs_only) fallbackParams.remote_only = true;
+        if (params.employment_types) fallbackParams.employment_type = params.employment_types;
+        return fallbackParams;
+    }
+
+    /**
+     * Normalize a fallback provider job onto the JSearch job shape. The provider
+     * answers `{ status, data: [job] }` where each job has id, title, company,
+     * company_logo, source, employment_type, url, description, is_remote,
+     * location ("City, ST, Country"), date_posted, salary_min, salary_max,
+     * salary_period and highlights; anything else is ignored.
+     * @param {Object} raw - Raw job from the fallback provider
+     * @returns {Object} JSearch-style job object
+     */
+    function normalizeFallbackJob(raw) {
+        const locationText = typeof raw.location === 'string' ? raw.location : '';
+        const [city = '', state = '', country = ''] = locationText.split(',').map(p => p.trim());
+        const title = raw.title || '';
+        const company = raw.company || '';
+        const applyLink = raw.url || '';
+
+        return {
+            job_id: `jobs-realtime-${raw.id || hashString(title + '|' + company + '|' + applyLink)}`,
+            job_title: title,
+            employer_name: company,
+            employer_logo: raw.company_logo || null,
+            job_publisher: raw.source || 'Jobs Search Realtime Data',
+            job_employment_type: (raw.employment_type || '').toUpperCase().replace(/[^A-Z]/g, ''),
+            job_apply_link: applyLink,
+            job_description: raw.description || '',
+            job_is_remote: raw.is_remote === true || /remote/i.test(locationText),
+            job_city: city,
+            job_state: state,
+            job_country: country || 'US',
+            job_posted_at_datetime_utc: raw.date_posted || null,
+            job_min_salary: raw.salary_min || null,
+            job_max_salary: raw.salary_max || null,
+            job_salary_period: raw.salary_period || null,
+            job_highlights: raw.highlights || {}
+        };
+    }
+
+    /**
+     * Build a short, attribute-safe hash of a string (djb2)
+     * @param {string} str - Input string
+     * @returns {string} Base-36 hash
+     */
+    function hashString(str) {
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Make a request to a job data provider, served from the persistent cache
+     * when possible. Fresh entries cost nothing; stale entries are returned
+     * immediately and, if CONFIG.CACHE_REVALIDATE_IN_BACKGROUND is set,
+     * refreshed in the background.
+     * @param {Object} provider - Provider definition from PROVIDERS
      * @param {string} endpoint - API endpoint path
      * @param {Object} params - Query parameters
+     * @param {Object} options - { forceRefresh: bypass the cache, signal: AbortSignal,
+     *                            onRequest: called when a request actually goes out }
+     * @returns {Promise<Object>} { data, cachedAt, stale, revalidation }
+     */
+    async function fetchFromAPI(provider, endpoint, params, options = {}) {
+        const cacheKey = ResponseCache.buildKey(provider.id, endpoint, params);
+        const cached = options.forceRefresh ? null : await ResponseCache.get(cacheKey);
+        const freshness = cached ? ResponseCache.getFreshness(cached) : 'expired';
+
+        if (freshness === 'fresh') {
+            return { data: cached.data, cachedAt: cached.timestamp, stale: false, revalidation: null };
+        }
+
+        if (freshness === 'stale') {
+            const revalidation = CONFIG.CACHE_REVALIDATE_IN_BACKGROUND
+                ? requestFromNetwork(provider, endpoint, params, cacheKey).then(() => true, () => false)
+                : null;
+            return { data: cached.data, cachedAt: cached.timestamp, stale: true, revalidation };
+        }
+
+        const data = await requestFromNetwork(provider, endpoint, params, cacheKey, options.signal, options.onRequest);
+        return { data, cachedAt: null, stale: false, revalidation: null };
+    }
+
+    /**
+     * Request fresh data from a provider and store it in the cache
+     * @param {Object} provider - Provider definition from PROVIDERS
+     * @param {string} endpoint - API endpoint path
+     * @param {Object} params - Query parameters
+     * @param {string} cacheKey - Key to store the response under
+     * @param {AbortSignal|null} signal - Cancels the request
+     * @param {Function|null} onRequest - Called once the request passes the local checks and is sent
      * @returns {Promise<Object>} API response data
      */
-    async function fetchFromAPI(endpoint, params) {
+    async function requestFromNetwork(provider, endpoint, params, cacheKey, signal = null, onRequest = null) {
+        throwIfAborted(signal);
+
+        const proxyMode = isProxyMode();
         const apiKey = getApiKey();
-        if (!apiKey) {
-            throw new Error('API key not configured. Please add your RapidAPI key.');
+        if (!apiKey && !proxyMode) {
+            throw new AuthError('API key not configured. Please add your RapidAPI key.', { provider: provider.id });
+        }
+
+        if (Quota.isExhausted()) {
+            throw new QuotaError('Monthly API budget reached.', { provider: provider.id });
         }
 
         if (!canMakeRequest()) {
-            throw new Error('RATE_LIMITED');
+            throw new RateLimitError('Rate limit reached. Please wait before searching again.', {
+                provider: provider.id,
+                retryAfterMs: getRateLimitResetMs(),
+                local: true
+            });
         }
 
         if (!Utils.isOnline()) {
-            throw new Error('You appear to be offline. Please check your internet connection.');
+            throw new OfflineError('You appear to be offline. Please check your internet connection.', { provider: provider.id });
         }
 
         const queryString = new URLSearchParams(params).toString();
-        const url = `${CONFIG.API_BASE_URL}/${endpoint}?${queryString}`;
-
-        // Check cache first
-        const cacheKey = `api_cache_${url}`;
-        const cached = Utils.getSessionCache(cacheKey);
-        if (cached) {
-            return cached;
-        }
+        const url = proxyMode
+            ? `${CONFIG.PROXY_URL}/${provider.id}/${endpoint}?${queryString}`
+            : `${provider.baseUrl}/${endpoint}?${queryString}`;
 
         recordRequest();
+        Quota.recordUsage(provider.id);
+        if (onRequest) onRequest();
 
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'X-RapidAPI-Key': apiKey,
-                'X-RapidAPI-Host': CONFIG.RAPID_API_HOST
+        let response;
+        try {
+            // The proxy adds the key server-side
+            response = await fetch(url, {
+                method: 'GET',
+                headers: proxyMode ? {} : {
+                    'X-RapidAPI-Key': apiKey,
+                    'X-RapidAPI-Host': provider.host
+                },
+                signal
+            });
+        } catch (fetchError) {
+            if (isAbortError(fetchError)) throw fetchError;
+            if (!Utils.isOnline()) {
+                throw new OfflineError('You appear to be offline. Please check your internet connection.', { provider: provider.id });
             }
-        });
+            throw new UpstreamError(`Could not reach ${provider.label}. Please try again.`, { provider: provider.id });
+        }
 
         if (!response.ok) {
+            const details = { status: response.status, provider: provider.id };
             if (response.status === 429) {
-                throw new Error('RATE_LIMITED');
+                throw new RateLimitError(`${provider.label} rate limit reached. Please wait before searching again.`, {
+                    ...details,
+                    retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+                });
             }
             if (response.status === 401 || response.status === 403) {
-                throw new Error('Invalid API key. Please check your RapidAPI key and try again.');
+                throw new AuthError('Invalid API key. Please check your RapidAPI key and try again.', details);
             }
-            throw new Error(`API request failed (${response.status}). Please try again.`);
+            throw new UpstreamError(`API request failed (${response.status}). Please try again.`, details);
         }
 
-        const data = await response.json();
-        Utils.setSessionCache(cacheKey, data);
+        let data;
+        try {
+            data = await response.json();
+        } catch {
+            throw new UpstreamError(`${provider.label} sent an unreadable response. Please try again.`, { status: response.status, provider: provider.id });
+        }
+        await ResponseCache.set(cacheKey, endpoint, data);
         return data;
     }
 
+    // Whether the user has been told that fixture recording stopped (storage full)
+    let fixtureWarningShown = false;
+
+    /**
+     * Record a response in record mode, warning once if storage is full so the
+     * mode doesn't look active while capturing nothing
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters
+     * @param {string} providerId - Provider that served the response
+     * @param {Object} data - Raw response body
+     * @returns {Promise<void>}
+     */
+    async function recordFixture(endpoint, params, providerId, data) {
+        if (await Fixtures.record(endpoint, params, providerId, data)) {
+            fixtureWarningShown = false;
+            return;
+        }
+        if (!fixtureWarningShown) {
+            fixtureWarningShown = true;
+            Utils.showToast('Browser storage is full, so responses are no longer being recorded. Export and clear fixtures to keep recording.', 'warning');
+        }
+    }
+
     /**
-     * Search for jobs with given query and options
+     * Build JSearch-style search params for a query
      * @param {string} query - Search query
      * @param {Object} options - Search options
-     * @returns {Promise<Object>} Search results
+     * @returns {Object} Query parameters
      */
-    async function searchJobs(query, options = {}) {
+    function buildSearchParams(query, options = {}) {
         const params = {
             query: query,
             page: options.page || 1,
@@ -130,20 +495,289 @@ const JobsAPI = (() => {
             params.employment_types = options.employmentTypes.join(',');
         }
 
-        return fetchFromAPI('search', params);
+        return params;
+    }
+
+    /**
+     * Search for jobs with given query and options, failing over to the next
+     * provider when one is down or out of quota
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @returns {Promise<Object>} Search results: { data, provider, cachedAt, stale, revalidation }
+     */
+    async function searchJobs(query, options = {}) {
+        throwIfAborted(options.signal);
+        const params = buildSearchParams(query, options);
+
+        if (Fixtures.isReplaying()) {
+            return replaySearch(params);
+        }
+
+        let firstError = null;
+        for (const provider of getProviderOrder()) {
+            try {
+                const response = await fetchFromAPI(provider, provider.searchEndpoint, provider.buildSearchParams(params), {
+                    forceRefresh: options.forceRefresh,
+                    signal: options.signal,
+                    onRequest: options.onRequest
+                });
+                // A live answer means the provider is back; cache hits say nothing
+                if (!response.cachedAt) providerFailures[provider.id] = 0;
+                if (Fixtures.isRecording()) {
+                    await recordFixture('search', params, provider.id, response.data);
+                }
+                return {
+                    data: provider.extractJobs(response.data).map(provider.normalizeJob),
+                    provider: { id: provider.id, label: provider.label, isFallback: provider !== PROVIDERS[0] },
+                    cachedAt: response.cachedAt,
+                    stale: response.stale,
+                    revalidation: response.revalidation
+                };
+            } catch (error) {
+                if (isAbortError(error) || !shouldFailOver(error)) throw error;
+                recordProviderFailure(provider, error);
+                firstError = firstError || error;
+            }
+        }
+
+        throw firstError;
+    }
+
+    /**
+     * Serve a search from the recorded fixture bundle instead of the network
+     * @param {Object} params - JSearch-style search params
+     * @returns {Promise<Object>} Search results: { data, provider }
+     */
+    async function replaySearch(params) {
+        const entry = await Fixtures.lookup('search', params);
+        if (!entry) {
+            throw new Error(`No recorded fixture for "${params.query}". Record this search first or import a fixture bundle.`);
+        }
+        const provider = PROVIDERS.find(p => p.id === entry.provider) || PROVIDERS[0];
+        return {
+            data: provider.extractJobs(entry.data).map(provider.normalizeJob),
+            provider: { id: provider.id, label: provider.label, isFallback: false, isFixture: true }
+        };
+    }
+
+    /**
+     * Get the provider a job came from, based on its id
+     * @param {string} jobId - Job ID
+     * @returns {Object} Provider definition from PROVIDERS
+     */
+    function getJobProvider(jobId) {
+        return PROVIDERS.find(p => p !== PROVIDERS[0] && String(jobId).startsWith(`${p.id}-`)) || PROVIDERS[0];
+    }
+
+    /**
+     * Whether the full record of a job can be fetched with getJobDetails
+     * @param {Object} job - Job object
+     * @returns {boolean} Whether details are available
+     */
+    function hasJobDetails(job) {
+        return Boolean(job && job.job_id && getJobProvider(job.job_id).detailsEndpoint) && canSearch();
+    }
+
+    /**
+     * Fetch the full record of a job (complete description, apply options,
+     * benefits, all highlight sections) and merge it over the search payload.
+     * Responses are cached like searches, so each job costs at most one request
+     * while its cache entry is fresh.
+     * @param {Object} job - Job from search results or saved jobs
+     * @param {Object} options - { forceRefresh: bypass the cache, signal: AbortSignal }
+     * @returns {Promise<Object|null>} New job object with `_detailsFetchedAt` (when the
+     *                                 record was fetched), or null if the provider no longer lists it
+     */
+    async function getJobDetails(job, options = {}) {
+        const provider = getJobProvider(job.job_id);
+        if (!provider.detailsEndpoint) return null;
+
+        const params = { job_id: job.job_id, extended_publisher_details: false };
+        let data;
+        let fetchedAt;
+
+        if (Fixtures.isReplaying()) {
+            const entry = await Fixtures.lookup(provider.detailsEndpoint, params);
+            if (!entry) {
+                throw new Error('No recorded fixture for this job\'s details. Open it while recording first.');
+            }
+            data = entry.data;
+            fetchedAt = Date.parse(entry.recordedAt);
+        } else {
+            const response = await fetchFromAPI(provider, provider.detailsEndpoint, params, options);
+            data = response.data;
+            fetchedAt = response.cachedAt || Date.now();
+            if (Fixtures.isRecording()) {
+                await recordFixture(provider.detailsEndpoint, params, provider.id, data);
+            }
+        }
+
+        const details = provider.extractJobs(data)[0];
+        if (!details) return null;
+        // Search annotations (_qualification, _relevanceScore...) are kept
+        return { ...job, ...provider.normalizeJob(details), _detailsFetchedAt: fetchedAt };
     }
 
     /**
      * Build and execute multiple search queries for comprehensive NE coverage
      * @param {string} keywords - Search keywords
-     * @param {Object} options - Search options
+     * @param {Object} options - Search options; options.signal cancels the search and later fetchMorePages calls
      * @param {Function} onProgress - Progress callback
-     * @returns {Promise<Array>} Deduplicated job results
+     * @returns {Promise<Object>} { jobs: deduplicated results (copies on other
+     *                              publishers in each job's `_duplicates`), providers: providers that served them,
+     *                              session: paging and cache state, report: per-query outcome (see getQueryReport),
+     *                              revalidated: Promise<boolean>|null }
      */
     async function searchAllCategories(keywords, options = {}, onProgress = null) {
-        const queries = buildSearchQueries(keywords, options);
-        const allJobs = [];
-        const seenIds = new Set();
+        const session = {
+            queries: buildSearchQueries(keywords, options).map(q => ({
+                ...q,
+                nextPage: q.options.page || 1,
+                exhausted: false,
+                status: 'pending',
+                pagesFetched: 0,
+                jobsFound: 0,
+                error: null
+            })),
+            seenIds: new Set(),
+            clusters: new Map(),
+            requestsUsed: 0,
+            fetchedCount: 0,
+            duplicateCount: 0,
+            forceRefresh: Boolean(options.forceRefresh),
+            signal: options.signal || null,
+            cache: { hits: 0, stale: false, oldestCachedAt: null, newerAvailable: false },
+            revalidations: []
+        };
+
+        // Queries beyond the plan's limit never run, but stay in the report
+        session.queries.slice(CONFIG.QUERY_PLANNING.maxQueries).forEach(q => {
+            q.status = 'skipped';
+            q.exhausted = true;
+        });
+
+        const initial = session.queries.slice(0, Math.min(CONFIG.QUERY_PLANNING.initialQueries, CONFIG.QUERY_PLANNING.maxQueries));
+        const { jobs, providers, results } = await fetchPages(session, initial, onProgress, session.signal);
+
+        // Every query failed (e.g. all providers down) - surface the error instead of an empty list
+        const rejected = results.find(r => r.status === 'rejected');
+        if (rejected && results.every(r => r.status === 'rejected')) {
+            throw rejected.reason;
+        }
+
+        // Resolves true once background revalidation has stored newer data for any query
+        const revalidated = session.revalidations.length > 0
+            ? Promise.all(session.revalidations).then(updates => updates.some(Boolean))
+            : null;
+
+        return { jobs, providers, session, report: getQueryReport(session), revalidated };
+    }
+
+    /**
+     * Fetch the next source page of each query that still has results. Planned
+     * queries that have not run yet go first; deeper pages come out of the
+     * per-search request budget. A load takes no more queries than the local
+     * rate limiter has room for, so it never half-fails on its own limit.
+     * @param {Object} session - Session returned by searchAllCategories
+     * @param {Function} onProgress - Progress callback
+     * @param {AbortSignal|null} signal - Cancels this load (defaults to the search's signal)
+     * @returns {Promise<Object>} { jobs: newly fetched unique jobs, providers, report }
+     * @throws {RateLimitError} If the rate limiter has no room at all
+     */
+    async function fetchMorePages(session, onProgress = null, signal = null) {
+        const available = getAvailableRequests();
+        if (available === 0) {
+            throw new RateLimitError('Rate limit reached. Please wait before loading more.', {
+                retryAfterMs: getRateLimitResetMs(),
+                local: true
+            });
+        }
+
+        const remaining = Math.max(0, CONFIG.SOURCE_PAGING.requestBudget - session.requestsUsed);
+        const firstPages = session.queries.filter(q => !q.exhausted && q.pagesFetched === 0);
+        const deeperPages = session.queries
+            .filter(q => !q.exhausted && q.pagesFetched > 0)
+            .sort((a, b) => a.pagesFetched - b.pagesFetched)
+            .slice(0, remaining);
+        const queries = [...firstPages, ...deeperPages].slice(0, Math.min(available, CONFIG.SOURCE_PAGING.requestsPerLoad));
+
+        if (queries.length === 0) {
+            return { jobs: [], providers: [], report: getQueryReport(session) };
+        }
+
+        const { jobs, providers, results } = await fetchPages(session, queries, onProgress, signal || session.signal);
+
+        const rejected = results.find(r => r.status === 'rejected');
+        if (rejected && results.every(r => r.status === 'rejected')) {
+            throw rejected.reason;
+        }
+
+        return { jobs, providers, report: getQueryReport(session) };
+    }
+
+    /**
+     * Re-run only the queries whose last request failed. Unlike a new search,
+     * this does not throw when they fail again; check the returned report.
+     * @param {Object} session - Session returned by searchAllCategories
+     * @param {Function} onProgress - Progress callback
+     * @param {AbortSignal|null} signal - Cancels the retry (defaults to the search's signal)
+     * @returns {Promise<Object>} { jobs: newly fetched unique jobs, providers, report }
+     */
+    async function retryFailedQueries(session, onProgress = null, signal = null) {
+        const failed = session.queries.filter(q => q.error);
+        if (failed.length === 0) {
+            return { jobs: [], providers: [], report: getQueryReport(session) };
+        }
+
+        const { jobs, providers } = await fetchPages(session, failed, onProgress, signal || session.signal);
+        return { jobs, providers, report: getQueryReport(session) };
+    }
+
+    /**
+     * Summarize how each query of a search session fared
+     * @param {Object} session - Session returned by searchAllCategories
+     * @returns {Array<Object>} One entry per planned query: { query, location: metro/state
+     *                          searched or null, remoteOnly, status: 'pending' (not run yet), 'skipped'
+     *                          (beyond CONFIG.QUERY_PLANNING.maxQueries), 'ok' or 'failed',
+     *                          pagesFetched, jobsFound: unique jobs it contributed, error: ApiError|Error|null }
+     */
+    function getQueryReport(session) {
+        if (!session) return [];
+        return session.queries.map(q => ({
+            query: q.query,
+            location: q.location || null,
+            remoteOnly: Boolean(q.options.remoteOnly),
+            status: q.status,
+            pagesFetched: q.pagesFetched,
+            jobsFound: q.jobsFound,
+            error: q.error
+        }));
+    }
+
+    /**
+     * Whether a search session can still fetch more pages from the source
+     * @param {Object} session - Session returned by searchAllCategories
+     * @returns {boolean} Whether more pages are available within budget
+     */
+    function hasMorePages(session) {
+        if (!session) return false;
+        return session.queries.some(q => !q.exhausted &&
+            (q.pagesFetched === 0 || session.requestsUsed < CONFIG.SOURCE_PAGING.requestBudget));
+    }
+
+    /**
+     * Fetch the current page of each query, advance its cursor and merge new
+     * jobs into the session's deduplicated set. Copies of a job already found
+     * (see Dedupe) are attached to it rather than returned.
+     * @param {Object} session - Search session
+     * @param {Array<Object>} queries - Session queries to fetch
+     * @param {Function} onProgress - Progress callback
+     * @param {AbortSignal|null} signal - Cancels the fetch
+     * @returns {Promise<Object>} { jobs, providers, results }
+     */
+    async function fetchPages(session, queries, onProgress, signal) {
+        const newJobs = [];
+        const providers = new Map();
         let completed = 0;
 
         // Execute queries with concurrency limit
@@ -151,9 +785,18 @@ const JobsAPI = (() => {
         const results = [];
 
         for (let i = 0; i < queries.length; i += concurrencyLimit) {
+            throwIfAborted(signal);
             const batch = queries.slice(i, i + concurrencyLimit);
             const batchResults = await Promise.allSettled(
-                batch.map(q => searchJobs(q.query, q.options))
+                batch.map(q => searchJobs(q.query, {
+                    ...q.options,
+                    page: q.nextPage,
+                    forceRefresh: session.forceRefresh,
+                    signal,
+                    // First pages are budgeted by the query plan; deeper pages count only
+                    // when a request is actually sent (not for cache hits or refused requests)
+                    onRequest: q.pagesFetched > 0 ? () => { session.requestsUsed++; } : null
+                }))
             );
             results.push(...batchResults);
             completed += batch.length;
@@ -163,26 +806,91 @@ const JobsAPI = (() => {
             }
         }
 
-        // Collect and deduplicate results
-        for (const result of results) {
-            if (result.status === 'fulfilled' && result.value && result.value.data) {
-                for (const job of result.value.data) {
-                    if (!seenIds.has(job.job_id)) {
-                        seenIds.add(job.job_id);
-                        allJobs.push(job);
-                    }
-                }
+        // A cancelled search must not advance cursors or return partial results
+        throwIfAborted(signal);
+
+        // Advance cursors, then collect and deduplicate results
+        results.forEach((result, index) => {
+            const query = queries[index];
+            if (result.status === 'rejected') {
+                // Cursor stays put so a retry asks for the same page
+                query.status = 'failed';
+                query.error = result.reason;
+                return;
             }
+            query.status = 'ok';
+            query.error = null;
+            if (!result.value || !result.value.data) return;
+
+            const page = result.value.data;
+            query.nextPage++;
+            query.pagesFetched++;
+            query.exhausted = page.length < CONFIG.SOURCE_PAGING.apiPageSize ||
+                query.nextPage > CONFIG.SOURCE_PAGING.maxPagesPerQuery;
+
+            providers.set(result.value.provider.id, result.value.provider);
+            trackCacheUse(session, result.value);
+            for (const job of page) {
+                if (session.seenIds.has(job.job_id)) continue;
+                session.seenIds.add(job.job_id);
+
+                // A copy of a role found earlier counts toward that role, not this query
+                const merged = Dedupe.mergeJobs(session.clusters, [job]);
+                session.duplicateCount += merged.duplicates;
+                query.jobsFound += merged.jobs.length;
+                newJobs.push(...merged.jobs);
+            }
+        });
+
+        session.fetchedCount += newJobs.length;
+        return { jobs: newJobs, providers: Array.from(providers.values()), results };
+    }
+
+    /**
+     * Estimate how many API requests a search will cost: planned queries whose
+     * first page is not already in the cache for the first available provider
+     * @param {string} keywords - Search keywords
+     * @param {Object} options - Search options (as for searchAllCategories)
+     * @returns {Promise<number>} Number of requests
+     */
+    async function estimateSearchCost(keywords, options = {}) {
+        if (Fixtures.isReplaying()) return 0;
+
+        const provider = getProviderOrder()[0];
+        const queries = buildSearchQueries(keywords, options).slice(0, CONFIG.QUERY_PLANNING.initialQueries);
+        if (options.forceRefresh) return queries.length;
+
+        let cost = 0;
+        for (const q of queries) {
+            const params = provider.buildSearchParams(buildSearchParams(q.query, q.options));
+            const cached = await ResponseCache.get(ResponseCache.buildKey(provider.id, provider.searchEndpoint, params));
+            if (!cached || ResponseCache.getFreshness(cached) === 'expired') cost++;
         }
+        return cost;
+    }
 
-        return allJobs;
+    /**
+     * Record whether a page came from the cache, for the results header
+     * @param {Object} session - Search session
+     * @param {Object} result - searchJobs result
+     */
+    function trackCacheUse(session, result) {
+        if (!result.cachedAt) return;
+        session.cache.hits++;
+        session.cache.stale = session.cache.stale || result.stale;
+        session.cache.oldestCachedAt = Math.min(session.cache.oldestCachedAt || Infinity, result.cachedAt);
+        if (result.revalidation) session.revalidations.push(result.revalidation);
     }
 
     /**
-     * Build search queries for comprehensive coverage
+     * Plan the search queries for comprehensive coverage: remote queries first,
+     * then, if Hybrid/On-site in the region is checked, "keywords in <metro>" for
+     * the region's metros in the checked states, a location-free query if an
+     * outside-region category is checked, and "keywords in <state>" for the states.
+     * searchAllCategories runs at most CONFIG.QUERY_PLANNING.maxQueries of them.
      * @param {string} keywords - Search keywords
-     * @param {Object} options - Search options
-     * @returns {Array<Object>} Array of query objects
+     * @param {Object} options - Search options (categories, states, datePosted, employmentTypes, page)
+     * @returns {Array<Object>} Query objects { query, options, location }, in run order
      */
     function buildSearchQueries(keywords, options = {}) {
         const queries = [];
@@ -198,57 +906,119 @@ const JobsAPI = (() => {
         // Primary: remote jobs query
         queries.push({
             query: `${keywords} remote`,
-            options: { ...baseOptions, remoteOnly: true }
+            options: { ...baseOptions, remoteOnly: true },
+            location: null
         });
 
         // Additional remote variant to catch more results
         queries.push({
             query: `${keywords}`,
-            options: { ...baseOptions, remoteOnly: true }
+            options: { ...baseOptions, remoteOnly: true },
+            location: null
         });
 
-        // If hybrid/onsite categories are selected, add a general (non-remote) query
         const categories = options.categories || [];
-        const includesNonRemote = categories.includes('hybrid-ne') || categories.includes('onsite-ne');
-        if (includesNonRemote) {
-            queries.push({
-                query: `${keywords}`,
-                options: { ...baseOptions }
-            });
+        const includesRegion = categories.includes('hybrid-ne') || categories.includes('onsite-ne');
+        const includesOutsideRegion = categories.some(cat => CONFIG.JOB_CATEGORIES[cat]?.outsideRegion);
+        const regionStates = Regions.getStates();
+        const states = (options.states && options.states.length > 0)
+            ? options.states
+            : Object.keys(regionStates);
+
+        // If the region's hybrid/onsite categories are selected, search its locations by name
+        const metros = includesRegion
+            ? Regions.getMetros().filter(metro => states.includes(metro.state)).map(metro => `${metro.city}, ${metro.state}`)
+            : [];
+        const stateNames = includesRegion && CONFIG.QUERY_PLANNING.stateVariants
+            ? states.filter(code => regionStates[code]).map(code => regionStates[code].name)
+            : [];
+
+        for (const location of metros) {
+            queries.push({ query: `${keywords} in ${location}`, options: { ...baseOptions }, location });
+        }
+
+        // Outside-region categories, or no known region locations: a general (non-remote) query
+        if (includesOutsideRegion || (includesRegion && metros.length === 0 && stateNames.length === 0)) {
+            queries.push({ query: `${keywords}`, options: { ...baseOptions }, location: null });
+        }
+
+        for (const location of stateNames) {
+            queries.push({ query: `${keywords} in ${location}`, options: { ...baseOptions }, location });
         }
 
         return queries;
     }
 
     /**
-     * Retry a failed API call with exponential backoff
+     * Retry a failed API call with exponential backoff. Only retryable ApiErrors
+     * are retried; a rate limit waits out its Retry-After instead of the backoff.
      * @param {Function} fn - Async function to retry
      * @param {number} maxRetries - Maximum retry attempts
+     * @param {AbortSignal|null} signal - Cancels remaining retries and backoff waits
      * @returns {Promise<*>} Result of the function
      */
-    async function withRetry(fn, maxRetries = 2) {
+    async function withRetry(fn, maxRetries = 2, signal = null) {
         let lastError;
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            throwIfAborted(signal);
             try {
                 return await fn();
             } catch (error) {
                 lastError = error;
-                if (error.message === 'RATE_LIMITED') throw error;
+                if (!(error instanceof ApiError) || !error.retryable) throw error;
                 if (attempt < maxRetries) {
-                    await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+                    const delay = error instanceof RateLimitError ? error.retryAfterMs : 1000 * (attempt + 1);
+                    await wait(delay, signal);
                 }
             }
         }
         throw lastError;
     }
 
+    /**
+     * Wait for a delay, rejecting early if the signal is aborted
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal|null} signal - Abort signal
+     * @returns {Promise<void>}
+     */
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createAbortError());
+            };
+            // Drop the listener once the wait is over, so long sessions don't pile them up on the signal
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
     return {
         hasApiKey,
+        isProxyMode,
+        canSearch,
         saveApiKey,
         getApiKey,
         searchJobs,
         searchAllCategories,
+        hasJobDetails,
+        getJobDetails,
+        estimateSearchCost,
+        fetchMorePages,
+        hasMorePages,
+        retryFailedQueries,
+        getQueryReport,
         withRetry,
-        canMakeRequest
+        isAbortError,
+        canMakeRequest,
+        ApiError,
+        AuthError,
+        RateLimitError,
+        OfflineError,
+        QuotaError,
+        UpstreamError
     };
 })();
@@ -7,11 +7,28 @@ const App = (() => {
     let currentPage = 1;
     let currentKeywords = '';
     let filteredJobs = [];
+    let currentProviders = [];
+    let currentSession = null;
+    let loadingMore = false;
+    let retryingFailed = false;
+    let searchController = null;
+    // Cancels the running "load more" or retry; a new search aborts it
+    let pageController = null;
+    // Results view a running search replaced, restored if it is cancelled
+    let previousView = null;
+    let showBlocked = false;
+    let blockedCount = 0;
+    // Skill facet toggles, and whether every facet is listed
+    let skillFilter = { include: [], exclude: [] };
+    let showAllSkills = false;
 
     function init() {
+        ResponseCache.prune();
         UI.initImageObserver();
         UI.updateSavedCount();
         UI.updateAlertsCount();
+        UI.updateUsageMeter();
+        Regions.applyToPage();
 
         bindGlobalEvents();
         detectPage();
@@ -65,6 +82,15 @@ const App = (() => {
             resetFiltersBtn.addEventListener('click', resetFilters);
         }
 
+        const preferDirect = document.getElementById('prefer-direct-apply');
+        if (preferDirect) {
+            preferDirect.checked = Utils.getPreferences().preferDirectApply;
+            preferDirect.addEventListener('change', () => {
+                Utils.setPreference('preferDirectApply', preferDirect.checked);
+                if (filteredJobs.length > 0) renderResults();
+            });
+        }
+
         if (sortBy) {
             sortBy.addEventListener('change', () => {
                 if (filteredJobs.length > 0) refilterAndRender();
@@ -89,9 +115,312 @@ const App = (() => {
             apiKeyBtn.addEventListener('click', handleSaveApiKey);
         }
 
+        document.querySelectorAll('.load-more-btn').forEach(btn => {
+            btn.addEventListener('click', handleLoadMore);
+        });
+
+        document.getElementById('refresh-results-btn')?.addEventListener('click', () => {
+            if (currentKeywords) handleSearch({ forceRefresh: true });
+        });
+
+        // Newer data is already cached, so this costs no requests
+        document.getElementById('show-newer-btn')?.addEventListener('click', () => {
+            if (currentKeywords) handleSearch({ afterRevalidation: true });
+        });
+
+        document.getElementById('clear-cache-btn')?.addEventListener('click', handleClearCache);
+        document.getElementById('cancel-search-btn')?.addEventListener('click', cancelSearch);
+        document.getElementById('retry-failed-btn')?.addEventListener('click', handleRetryFailed);
+
+        // Show what the search will cost as keywords and filters change
+        const debouncedCost = Utils.debounce(updateSearchCost, CONFIG.DEBOUNCE_MS);
+        document.getElementById('search-keywords')?.addEventListener('input', debouncedCost);
+        document.getElementById('filters-panel')?.addEventListener('change', debouncedCost);
+        updateSearchCost();
+
         // Show welcome state; hide API key form if key already saved
         UI.showState('welcome');
         updateApiKeyVisibility();
+        initFixtureBar();
+        initScoringProfiles();
+        initBlocklist();
+        initSkills();
+        initHomeLocation();
+        initRegionPicker();
+    }
+
+    /**
+     * Bind the region picker and region pack import
+     */
+    function initRegionPicker() {
+        const select = document.getElementById('region-select');
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            Regions.setActive(select.value);
+            applyRegion();
+        });
+
+        const importInput = document.getElementById('region-import-input');
+        document.getElementById('region-import-btn')?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const region = await Regions.importFile(file);
+                Regions.setActive(region.id);
+                applyRegion();
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+            e.target.value = '';
+        });
+    }
+
+    /**
+     * Show the selected region on the search page and re-filter the results
+     */
+    function applyRegion() {
+        const region = Regions.getActive();
+        Regions.applyToPage();
+
+        // A home town outside the new region can't be measured from
+        if (!Gazetteer.parsePlace(Utils.getPreferences().homeLocation)) {
+            Utils.setPreference('homeLocation', '');
+        }
+        renderHomeLocation();
+        updateSearchCost();
+
+        if (currentKeywords) {
+            refilterAndRender();
+            Utils.showToast(`Now showing ${region.name}. Search again to look for jobs in its cities.`, 'info');
+        } else {
+            Utils.showToast(`Now showing ${region.name}.`, 'info');
+        }
+    }
+
+    /**
+     * Show the saved home location and offer the region's towns
+     */
+    function renderHomeLocation() {
+        const input = document.getElementById('home-location');
+        const options = document.getElementById('home-location-options');
+        if (input) input.value = Utils.getPreferences().homeLocation;
+        updateDistanceHint();
+        if (options) {
+            options.innerHTML = Gazetteer.getPlaceLabels()
+                .map(label => `<option value="${Utils.sanitize(label)}"></option>`)
+                .join('');
+        }
+    }
+
+    /**
+     * Show the saved home location, offer every gazetteer town, and save changes
+     */
+    function initHomeLocation() {
+        const input = document.getElementById('home-location');
+        if (!input) return;
+
+        renderHomeLocation();
+
+        input.addEventListener('change', () => {
+            const text = input.value.trim();
+            const place = Gazetteer.parsePlace(text);
+            if (text && (!place || place.lat === null)) {
+                const region = Regions.getActive();
+                const example = region.metros[0] ? `, like "${region.metros[0].city}, ${region.metros[0].state}"` : '';
+                Utils.showToast(`Couldn't find "${text}" in ${region.name}. Try a city and state${example}.`, 'warning');
+                input.value = Utils.getPreferences().homeLocation;
+                return;
+            }
+            input.value = Gazetteer.formatPlace(place);
+            Utils.setPreference('homeLocation', input.value);
+            updateDistanceHint();
+            refreshResults();
+        });
+
+        document.getElementById('max-distance')?.addEventListener('change', updateDistanceHint);
+    }
+
+    /**
+     * Show the hint next to the distance filter while a radius is picked
+     * without a home location to measure from
+     */
+    function updateDistanceHint() {
+        const hint = document.getElementById('distance-hint');
+        if (!hint) return;
+        const maxDistance = parseInt(document.getElementById('max-distance')?.value || '0', 10);
+        hint.hidden = !maxDistance || Boolean(Gazetteer.parsePlace(Utils.getPreferences().homeLocation));
+    }
+
+    /**
+     * Bind the blocklist editor and the show/hide toggle for blocked results
+     */
+    function initBlocklist() {
+        Blocklist.renderSummary();
+
+        document.getElementById('blocklist-edit-btn')?.addEventListener('click', Blocklist.openEditModal);
+        document.getElementById('blocklist-modal-close')?.addEventListener('click', Blocklist.closeModal);
+        document.getElementById('blocklist-cancel-btn')?.addEventListener('click', Blocklist.closeModal);
+        document.getElementById('blocklist-form')?.addEventListener('submit', (e) => {
+            Blocklist.handleFormSubmit(e);
+            refreshResults();
+        });
+
+        document.querySelectorAll('.toggle-blocked-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                showBlocked = !showBlocked;
+                refreshResults();
+            });
+        });
+    }
+
+    /**
+     * Bind the skills editor and the skill facets above the results
+     */
+    function initSkills() {
+        Skills.renderSummary();
+
+        document.getElementById('skills-edit-btn')?.addEventListener('click', Skills.openEditModal);
+        document.getElementById('skills-modal-close')?.addEventListener('click', Skills.closeModal);
+        document.getElementById('skills-cancel-btn')?.addEventListener('click', Skills.closeModal);
+        document.getElementById('skills-form')?.addEventListener('submit', (e) => {
+            Skills.handleFormSubmit(e);
+            refreshResults();
+        });
+
+        // A facet cycles: off -> only jobs with the skill -> only jobs without it -> off
+        document.getElementById('skills-facets-list')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.skill-facet');
+            if (!btn) return;
+            const name = btn.dataset.skill;
+            const include = skillFilter.include.filter(n => n !== name);
+            const exclude = skillFilter.exclude.filter(n => n !== name);
+            if (skillFilter.include.includes(name)) exclude.push(name);
+            else if (!skillFilter.exclude.includes(name)) include.push(name);
+            skillFilter = { include, exclude };
+            refreshResults();
+        });
+
+        document.getElementById('skills-facets-clear')?.addEventListener('click', () => {
+            skillFilter = { include: [], exclude: [] };
+            refreshResults();
+        });
+
+        document.getElementById('skills-facets-more')?.addEventListener('click', () => {
+            showAllSkills = !showAllSkills;
+            Skills.renderFacets(filteredJobs, skillFilter, showAllSkills);
+        });
+    }
+
+    /**
+     * Show the active scoring profile and bind the profile picker and editor
+     */
+    function initScoringProfiles() {
+        const select = document.getElementById('scoring-profile-select');
+        const form = document.getElementById('profile-form');
+        if (!select || !form) return;
+
+        ScoringProfiles.renderProfileSelect();
+
+        select.addEventListener('change', () => {
+            ScoringProfiles.setActive(select.value);
+            if (currentKeywords) refilterAndRender();
+        });
+
+        document.getElementById('profile-edit-btn')?.addEventListener('click', () => {
+            ScoringProfiles.openEditModal(select.value);
+        });
+        document.getElementById('profile-new-btn')?.addEventListener('click', () => {
+            ScoringProfiles.openEditModal();
+        });
+        document.getElementById('profile-modal-close')?.addEventListener('click', ScoringProfiles.closeModal);
+        document.getElementById('profile-cancel-btn')?.addEventListener('click', ScoringProfiles.closeModal);
+        document.getElementById('profile-export-btn')?.addEventListener('click', () => {
+            ScoringProfiles.exportProfile(form.dataset.editingId);
+        });
+
+        document.getElementById('profile-delete-btn')?.addEventListener('click', () => {
+            if (ScoringProfiles.confirmDelete() && currentKeywords) refilterAndRender();
+        });
+
+        form.addEventListener('submit', (e) => {
+            if (ScoringProfiles.handleFormSubmit(e) && currentKeywords) refilterAndRender();
+        });
+
+        const importInput = document.getElementById('profile-import-input');
+        document.getElementById('profile-import-btn')?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const profile = await ScoringProfiles.importFile(file);
+                ScoringProfiles.setActive(profile.id);
+                ScoringProfiles.renderProfileSelect();
+                Utils.showToast(`Imported "${profile.name}" and made it active.`, 'success');
+                if (currentKeywords) refilterAndRender();
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+            e.target.value = '';
+        });
+    }
+
+    /**
+     * Show the fixture record/replay bar and bind its controls
+     */
+    async function initFixtureBar() {
+        const bar = document.getElementById('fixture-bar');
+        const mode = Fixtures.getMode();
+        if (!bar || mode === 'off') return;
+
+        bar.hidden = false;
+
+        document.getElementById('fixture-export-btn')?.addEventListener('click', Fixtures.exportBundle);
+
+        document.getElementById('fixture-clear-btn')?.addEventListener('click', () => {
+            if (confirm('Remove all recorded fixture responses?')) {
+                Fixtures.clear().then(updateFixtureBar);
+            }
+        });
+
+        document.getElementById('fixture-import-input')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const count = await Fixtures.importFile(file);
+                Utils.showToast(`Loaded ${count} recorded response${count !== 1 ? 's' : ''}.`, 'success');
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+            e.target.value = '';
+            updateFixtureBar();
+        });
+
+        if (mode === 'replay' && await Fixtures.getCount() === 0 && CONFIG.FIXTURE_URL) {
+            try {
+                await Fixtures.importUrl(CONFIG.FIXTURE_URL);
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        }
+
+        updateFixtureBar();
+    }
+
+    /**
+     * Refresh the fixture bar status text
+     * @returns {Promise<void>}
+     */
+    async function updateFixtureBar() {
+        const text = document.getElementById('fixture-bar-text');
+        if (!text) return;
+
+        const count = await Fixtures.getCount();
+        const responses = `${count} response${count !== 1 ? 's' : ''}`;
+        text.textContent = Fixtures.isReplaying()
+            ? `Replay mode: searches are served from ${responses} on file.`
+            : `Recording: ${responses} captured.`;
     }
 
     /**
@@ -112,13 +441,93 @@ const App = (() => {
         Utils.showToast('API key saved! You can now search for jobs.', 'success');
     }
 
+    /**
+     * Estimate and show the API cost of the search currently in the form
+     */
+    async function updateSearchCost() {
+        const keywords = (document.getElementById('search-keywords')?.value || '').trim();
+        const query = Filters.parseSearchQuery(keywords);
+        UI.showQueryErrors(query.errors);
+        if (!query.apiQuery || query.errors.length > 0 || !JobsAPI.canSearch()) {
+            UI.updateSearchCost(null);
+            return;
+        }
+
+        const filters = getFilterValues();
+        const cost = await JobsAPI.estimateSearchCost(query.apiQuery, {
+            datePosted: filters.datePosted,
+            categories: filters.categories,
+            states: filters.states,
+            employmentTypes: filters.jobTypes,
+            page: 1
+        });
+        UI.updateSearchCost(cost);
+    }
+
+    /**
+     * Change the monthly API request budget from the header usage meter
+     */
+    function handleEditBudget() {
+        const usage = Quota.getUsage();
+        const input = prompt(
+            `API requests used this month: ${usage.requests}.\nMonthly request budget:`,
+            String(Quota.getBudget())
+        );
+        if (input === null) return;
+
+        const budget = parseInt(input, 10);
+        if (!Quota.setBudget(budget)) {
+            Utils.showToast('Please enter a whole number greater than zero.', 'warning');
+            return;
+        }
+
+        UI.updateUsageMeter();
+        updateSearchCost();
+        Utils.showToast(`Monthly budget set to ${budget} requests.`, 'success');
+    }
+
+    /**
+     * Refresh the usage meter and warn when a search pushed usage past a threshold
+     * @param {string} levelBefore - Quota level before the requests were made
+     */
+    function reportQuotaUsage(levelBefore) {
+        UI.updateUsageMeter();
+        updateSearchCost();
+
+        const level = Quota.getLevel();
+        if (level === levelBefore) return;
+
+        const usage = `${Quota.getUsage().requests} of ${Quota.getBudget()}`;
+        if (level === 'exceeded') {
+            Utils.showToast(`Monthly API budget reached (${usage}). Only cached searches will run.`, 'error', 6000);
+        } else if (level === 'critical' || level === 'warning') {
+            Utils.showToast(`You have used ${usage} API requests this month.`, 'warning', 6000);
+        }
+    }
+
+    /**
+     * Clear the persistent response cache
+     */
+    async function handleClearCache() {
+        const count = await ResponseCache.count();
+        if (count === 0) {
+            Utils.showToast('The cache is already empty.', 'info');
+            return;
+        }
+        if (!confirm(`Remove ${count} cached response${count !== 1 ? 's' : ''}? The next searches will use API quota.`)) return;
+
+        await ResponseCache.clear();
+        updateSearchCost();
+        Utils.showToast('Cached results cleared.', 'success');
+    }
+
     /**
      * Hide the API key form if a key is already stored
      */
     function updateApiKeyVisibility() {
         const apiKeySection = document.getElementById('api-key-inline');
         if (apiKeySection) {
-            apiKeySection.hidden = JobsAPI.hasApiKey();
+            apiKeySection.hidden = JobsAPI.canSearch();
         }
     }
 
@@ -146,12 +555,21 @@ const App = (() => {
             cb.checked = cb.value === 'FULLTIME';
         });
 
+        document.querySelectorAll('input[name="seniority"]').forEach(cb => {
+            cb.checked = true;
+        });
+
+        skillFilter = { include: [], exclude: [] };
+
         const datePosted = document.getElementById('date-posted');
         const minSalary = document.getElementById('min-salary');
+        const maxDistance = document.getElementById('max-distance');
         const sortBy = document.getElementById('sort-by');
         if (datePosted) datePosted.value = 'week';
         if (minSalary) minSalary.value = '0';
+        if (maxDistance) maxDistance.value = '0';
         if (sortBy) sortBy.value = 'relevance';
+        updateDistanceHint();
 
         Utils.showToast('Filters reset.', 'info');
     }
@@ -163,18 +581,26 @@ const App = (() => {
             .map(cb => cb.value);
         // Default to all states if no state checkboxes exist (remote-first mode)
         if (states.length === 0) {
-            states = Object.keys(CONFIG.NE_STATES);
+            states = Regions.getStateCodes();
         }
         const jobTypes = Array.from(document.querySelectorAll('input[name="jobType"]:checked'))
             .map(cb => cb.value);
+        const seniority = Array.from(document.querySelectorAll('input[name="seniority"]:checked'))
+            .map(cb => cb.value);
         const datePosted = document.getElementById('date-posted')?.value || 'week';
         const minSalary = parseInt(document.getElementById('min-salary')?.value || '0', 10);
+        const maxDistance = parseInt(document.getElementById('max-distance')?.value || '0', 10);
         const sortBy = document.getElementById('sort-by')?.value || 'relevance';
 
-        return { categories, states, jobTypes, datePosted, minSalary, sortBy };
+        return { categories, states, jobTypes, seniority, datePosted, minSalary, maxDistance, sortBy };
     }
 
-    async function handleSearch() {
+    /**
+     * Run a search from the search box
+     * @param {Object} options - { forceRefresh: bypass the response cache,
+     *                            afterRevalidation: show the data a background refresh stored (don't schedule another) }
+     */
+    async function handleSearch({ forceRefresh = false, afterRevalidation = false } = {}) {
         const input = document.getElementById('search-keywords');
         const keywords = (input?.value || '').trim();
 
@@ -184,52 +610,96 @@ const App = (() => {
             return;
         }
 
-        if (!JobsAPI.hasApiKey()) {
+        // Syntax errors are shown under the search box
+        const query = Filters.parseSearchQuery(keywords);
+        if (query.errors.length === 0 && !query.apiQuery) {
+            query.errors.push('Add at least one word or phrase to search for, not only exclusions.');
+        }
+        UI.showQueryErrors(query.errors);
+        if (query.errors.length > 0) {
+            if (input) input.focus();
+            return;
+        }
+
+        if (!JobsAPI.canSearch()) {
             Utils.showToast('Please add your API key first.', 'warning');
             return;
         }
 
+        // Supersede any search, load-more or retry still in flight so its results can't overwrite these
+        if (searchController) searchController.abort();
+        if (pageController) pageController.abort();
+        const controller = new AbortController();
+        searchController = controller;
+
+        // A search replacing another in flight keeps the view that was on screen before both
+        if (currentSession) {
+            previousView = {
+                keywords: currentKeywords,
+                page: currentPage,
+                session: currentSession,
+                providers: currentProviders,
+                results: window._currentSearchResults,
+                showBlocked
+            };
+        }
+
         currentKeywords = keywords;
         currentPage = 1;
+        currentSession = null;
+        showBlocked = false;
 
         const filters = getFilterValues();
+        const quotaLevelBefore = Quota.getLevel();
 
         UI.showState('loading', { message: 'Searching for jobs...' });
         UI.setSearchLoading(true);
 
         try {
-            const rawJobs = await JobsAPI.withRetry(() =>
-                JobsAPI.searchAllCategories(keywords, {
+            const { jobs: rawJobs, providers, session, revalidated } = await JobsAPI.withRetry(() =>
+                JobsAPI.searchAllCategories(query.apiQuery, {
                     datePosted: filters.datePosted,
                     categories: filters.categories,
+                    states: filters.states,
                     employmentTypes: filters.jobTypes,
-                    page: 1
+                    page: 1,
+                    forceRefresh,
+                    signal: controller.signal
                 }, (completed, total) => {
                     const loadingText = document.getElementById('loading-text');
-                    if (loadingText) {
+                    if (loadingText && !controller.signal.aborted) {
                         loadingText.textContent = `Searching... (${completed}/${total} queries)`;
                     }
-                })
+                }),
+                2,
+                controller.signal
             );
 
             window._currentSearchResults = rawJobs;
+            currentProviders = providers;
+            currentSession = session;
+
+            // Background revalidation stored newer data: offer it rather than re-running the
+            // search, which would throw away pages the user has loaded since
+            if (revalidated && !afterRevalidation) {
+                revalidated.then(updated => {
+                    if (updated && currentSession === session) {
+                        session.cache.newerAvailable = true;
+                        UI.updateCacheStatus(session.cache);
+                    }
+                });
+            }
 
-            filteredJobs = Filters.applyFilters(rawJobs, {
-                categories: filters.categories,
-                states: filters.states,
-                minSalary: filters.minSalary,
-                keywords: keywords,
-                sortBy: filters.sortBy
-            });
-
-            if (filteredJobs.length === 0) {
-                UI.showState('empty');
-            } else {
-                UI.showState('results');
-                renderResults();
+            const fallback = providers.find(p => p.isFallback);
+            if (fallback) {
+                Utils.showToast(`JSearch is unavailable. Showing results from ${fallback.label}.`, 'warning', 5000);
             }
 
+            refilterAndRender();
+
             const alertResults = Alerts.checkAlerts(rawJobs);
+            if (Fixtures.isRecording()) updateFixtureBar();
+
             if (alertResults.totalNew > 0) {
                 Utils.showToast(
                     `${alertResults.totalNew} new job${alertResults.totalNew > 1 ? 's' : ''} match your alerts!`,
@@ -239,9 +709,22 @@ const App = (() => {
             }
 
         } catch (error) {
-            if (error.message === 'RATE_LIMITED') {
-                UI.showState('rate-limited');
-                Utils.showToast('Rate limit reached. Please wait before searching again.', 'warning');
+            if (JobsAPI.isAbortError(error)) {
+                // Superseded or cancelled: whoever aborted it owns the UI now
+                return;
+            }
+            if (error instanceof JobsAPI.RateLimitError) {
+                UI.showState('rate-limited', { retryAfterMs: error.retryAfterMs });
+                Utils.showToast(error.message, 'warning');
+            } else if (error instanceof JobsAPI.QuotaError) {
+                UI.showState('error', {
+                    title: 'Monthly API Budget Reached',
+                    message: `You have used all ${Quota.getBudget()} API requests budgeted for this month. Cached searches still work; raise the budget from the usage meter in the header to search further.`
+                });
+            } else if (error instanceof JobsAPI.AuthError) {
+                UI.showState('error', { title: 'API Key Problem', message: error.message });
+            } else if (error instanceof JobsAPI.OfflineError) {
+                UI.showState('error', { title: 'You Are Offline', message: error.message });
             } else {
                 UI.showState('error', {
                     title: 'Search Failed',
@@ -249,35 +732,211 @@ const App = (() => {
                 });
             }
         } finally {
-            UI.setSearchLoading(false);
+            if (searchController === controller) {
+                searchController = null;
+                previousView = null;
+                UI.setSearchLoading(false);
+                reportQuotaUsage(quotaLevelBefore);
+            }
+        }
+    }
+
+    /**
+     * Cancel the running search from the loading state, going back to the
+     * results that were on screen before it (or the welcome screen)
+     */
+    function cancelSearch() {
+        if (!searchController) return;
+
+        searchController.abort();
+        searchController = null;
+
+        UI.setSearchLoading(false);
+        if (previousView) {
+            currentKeywords = previousView.keywords;
+            currentPage = previousView.page;
+            currentSession = previousView.session;
+            currentProviders = previousView.providers;
+            window._currentSearchResults = previousView.results;
+            showBlocked = previousView.showBlocked;
+            previousView = null;
+            refilterAndRender({ keepPage: true });
+        } else {
+            currentKeywords = '';
+            UI.showState('welcome');
+        }
+        UI.updateUsageMeter();
+        Utils.showToast('Search cancelled.', 'info');
+    }
+
+    /**
+     * Show how many jobs were fetched, whether more source pages are available
+     * and which queries failed
+     */
+    function renderFetchStatus() {
+        if (!currentSession) return;
+        UI.updateFetchStatus(
+            currentSession.fetchedCount,
+            JobsAPI.hasMorePages(currentSession),
+            loadingMore,
+            currentSession.duplicateCount
+        );
+        UI.updateQueryReport(JobsAPI.getQueryReport(currentSession), retryingFailed);
+    }
+
+    /**
+     * Toast an error from fetching further pages of the current search
+     * @param {Error} error - Error thrown by JobsAPI
+     */
+    function reportPageError(error) {
+        if (error instanceof JobsAPI.RateLimitError) {
+            const wait = error.retryAfterMs ? ` Try again in ${Math.ceil(error.retryAfterMs / 1000)}s.` : '';
+            Utils.showToast(`Rate limit reached.${wait}`, 'warning');
+        } else if (error instanceof JobsAPI.QuotaError) {
+            Utils.showToast('Monthly API budget reached. Raise it from the usage meter to load more.', 'warning');
+        } else {
+            Utils.showToast(error.message || 'Could not load more jobs.', 'error');
+        }
+    }
+
+    /**
+     * Merge newly fetched jobs into the current results and re-render
+     * @param {Array<Object>} newJobs - Jobs not seen before in this search
+     * @param {Array<Object>} providers - Providers that served them
+     */
+    function mergeFetchedJobs(newJobs, providers) {
+        for (const provider of providers) {
+            if (!currentProviders.some(p => p.id === provider.id)) currentProviders.push(provider);
+        }
+
+        window._currentSearchResults = (window._currentSearchResults || []).concat(newJobs);
+        refilterAndRender({ keepPage: true });
+
+        if (newJobs.length > 0) {
+            Alerts.checkAlerts(newJobs);
+        }
+    }
+
+    /**
+     * Fetch further source pages for the current search and merge them into the results
+     */
+    async function handleLoadMore() {
+        if (loadingMore || retryingFailed || !JobsAPI.hasMorePages(currentSession)) return;
+
+        loadingMore = true;
+        renderFetchStatus();
+        const quotaLevelBefore = Quota.getLevel();
+        const session = currentSession;
+        const controller = new AbortController();
+        pageController = controller;
+
+        try {
+            const { jobs: newJobs, providers } = await JobsAPI.fetchMorePages(session, null, controller.signal);
+            // A new search started meanwhile; these pages belong to the old one
+            if (currentSession !== session) return;
+
+            mergeFetchedJobs(newJobs, providers);
+
+            Utils.showToast(
+                newJobs.length > 0
+                    ? `Loaded ${newJobs.length} more job${newJobs.length !== 1 ? 's' : ''} from source.`
+                    : 'No new jobs on the next source pages.',
+                'info'
+            );
+        } catch (error) {
+            if (JobsAPI.isAbortError(error)) return;
+            reportPageError(error);
+        } finally {
+            if (pageController === controller) pageController = null;
+            loadingMore = false;
+            renderFetchStatus();
+            reportQuotaUsage(quotaLevelBefore);
+        }
+    }
+
+    /**
+     * Re-run only the queries of the current search that failed
+     */
+    async function handleRetryFailed() {
+        if (loadingMore || retryingFailed || !currentSession) return;
+
+        retryingFailed = true;
+        renderFetchStatus();
+        const quotaLevelBefore = Quota.getLevel();
+        const session = currentSession;
+        const controller = new AbortController();
+        pageController = controller;
+
+        try {
+            const { jobs: newJobs, providers, report } = await JobsAPI.retryFailedQueries(session, null, controller.signal);
+            if (currentSession !== session) return;
+
+            mergeFetchedJobs(newJobs, providers);
+
+            const stillFailing = report.filter(q => q.error);
+            if (stillFailing.length > 0) {
+                reportPageError(stillFailing[0].error);
+            } else {
+                Utils.showToast(`All queries succeeded. Added ${newJobs.length} job${newJobs.length !== 1 ? 's' : ''}.`, 'success');
+            }
+        } catch (error) {
+            if (JobsAPI.isAbortError(error)) return;
+            reportPageError(error);
+        } finally {
+            if (pageController === controller) pageController = null;
+            retryingFailed = false;
+            renderFetchStatus();
+            reportQuotaUsage(quotaLevelBefore);
         }
     }
 
-    function refilterAndRender() {
+    function refilterAndRender({ keepPage = false } = {}) {
         const filters = getFilterValues();
         const rawJobs = window._currentSearchResults || [];
+        const home = Gazetteer.parsePlace(Utils.getPreferences().homeLocation);
 
-        filteredJobs = Filters.applyFilters(rawJobs, {
+        // Blocklisted jobs are always counted, and listed only while revealed
+        const jobs = Filters.applyFilters(rawJobs, {
             categories: filters.categories,
             states: filters.states,
             minSalary: filters.minSalary,
+            home,
+            maxDistance: filters.maxDistance,
+            seniority: filters.seniority,
+            skills: skillFilter,
             keywords: currentKeywords,
-            sortBy: filters.sortBy
+            sortBy: filters.sortBy,
+            showBlocked: true
         });
+        blockedCount = jobs.filter(job => job._blockedReason).length;
+        filteredJobs = showBlocked ? jobs : jobs.filter(job => !job._blockedReason);
 
-        currentPage = 1;
+        const totalPages = Math.max(1, Math.ceil(filteredJobs.length / CONFIG.RESULTS_PER_PAGE));
+        currentPage = keepPage ? Math.min(currentPage, totalPages) : 1;
 
         if (filteredJobs.length === 0) {
             UI.showState('empty');
+            renderFetchStatus();
         } else {
             UI.showState('results');
             renderResults();
         }
+        UI.updateBlockedNotice(blockedCount, showBlocked);
+        Skills.renderFacets(filteredJobs, skillFilter, showAllSkills);
+    }
+
+    /**
+     * Re-apply filters to the current results (after a setting such as the blocklist changes)
+     */
+    function refreshResults() {
+        if (currentKeywords) refilterAndRender({ keepPage: true });
     }
 
     function renderResults() {
         const breakdown = Filters.getCategoryBreakdown(filteredJobs);
-        UI.updateResultsHeader(filteredJobs.length, breakdown);
+        UI.updateResultsHeader(filteredJobs.length, breakdown, currentProviders);
+        UI.updateCacheStatus(currentSession?.cache);
+        renderFetchStatus();
         UI.renderJobCards(filteredJobs, currentPage, CONFIG.RESULTS_PER_PAGE);
         UI.updatePagination(currentPage, filteredJobs.length, CONFIG.RESULTS_PER_PAGE);
     }
@@ -371,6 +1030,7 @@ const App = (() => {
         });
 
         document.getElementById('modal-close-btn')?.addEventListener('click', UI.closeJobDetail);
+        document.getElementById('usage-meter')?.addEventListener('click', handleEditBudget);
 
         window.addEventListener('online', () => {
             Utils.showToast('You are back online.', 'success');
@@ -389,6 +1049,7 @@ const App = (() => {
 
     return {
         handleSearch,
-        changePage
+        changePage,
+        refreshResults
     };
 })();
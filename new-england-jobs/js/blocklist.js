@@ -0,0 +1,156 @@
+/**
+ * New England Jobs - Blocklist
+ * Persistent lists of employers, terms and publishers whose jobs are hidden
+ * from search results and alerts (matching is done by Filters.getBlockReason)
+ */
+
+const Blocklist = (() => {
+    const STORAGE_KEY = 'ne_jobs_blocklist';
+    const LIST_TYPES = ['employers', 'terms', 'publishers'];
+
+    /**
+     * Clean a list: trimmed, blank lines dropped, case-insensitive duplicates removed
+     * @param {Array<string>|string} entries - Entries (array or one per line)
+     * @returns {Array<string>} Entries
+     */
+    function toEntries(entries) {
+        const list = Array.isArray(entries) ? entries : String(entries || '').split('\n');
+        const seen = new Set();
+        return list.map(e => String(e).trim()).filter(e => {
+            const key = e.toLowerCase();
+            if (!e || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Get the blocklist
+     * @returns {Object} { employers, terms, publishers }
+     */
+    function get() {
+        const stored = Utils.getStorage(STORAGE_KEY, {});
+        const blocklist = {};
+        for (const type of LIST_TYPES) {
+            blocklist[type] = Array.isArray(stored[type]) ? stored[type] : [];
+        }
+        return blocklist;
+    }
+
+    /**
+     * Replace the blocklist
+     * @param {Object} blocklist - { employers, terms, publishers }
+     * @returns {boolean} Success
+     */
+    function save(blocklist) {
+        const clean = {};
+        for (const type of LIST_TYPES) {
+            clean[type] = toEntries(blocklist[type]);
+        }
+        return Utils.setStorage(STORAGE_KEY, clean);
+    }
+
+    /**
+     * Count all blocklist entries
+     * @returns {number} Entries across all lists
+     */
+    function getCount() {
+        const blocklist = get();
+        return LIST_TYPES.reduce((sum, type) => sum + blocklist[type].length, 0);
+    }
+
+    /**
+     * Block a job's employer
+     * @param {Object} job - Job object
+     * @returns {boolean} Whether the employer was added
+     */
+    function hideEmployer(job) {
+        const name = (job?.employer_name || '').trim();
+        if (!name) return false;
+        if (!confirm(`Hide all jobs from "${name}"? You can undo this from the blocklist under Filters.`)) return false;
+
+        const blocklist = get();
+        blocklist.employers.push(name);
+        save(blocklist);
+        renderSummary();
+        Utils.showToast(`Jobs from ${name} are now hidden.`, 'success');
+        return true;
+    }
+
+    /**
+     * Show the blocklist size in the filters panel
+     */
+    function renderSummary() {
+        const el = document.getElementById('blocklist-summary');
+        if (!el) return;
+
+        const blocklist = get();
+        const counts = [
+            [blocklist.employers.length, 'employer'],
+            [blocklist.terms.length, 'term'],
+            [blocklist.publishers.length, 'publisher']
+        ].filter(([count]) => count > 0);
+
+        el.textContent = counts.length > 0
+            ? `Hiding ${counts.map(([count, label]) => `${count} ${label}${count !== 1 ? 's' : ''}`).join(', ')}.`
+            : 'Nothing hidden yet.';
+    }
+
+    /**
+     * Open the blocklist editor
+     */
+    function openEditModal() {
+        const modal = document.getElementById('blocklist-modal');
+        if (!modal) return;
+
+        const blocklist = get();
+        for (const type of LIST_TYPES) {
+            const textarea = document.getElementById(`blocklist-${type}`);
+            if (textarea) textarea.value = blocklist[type].join('\n');
+        }
+
+        modal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        document.getElementById('blocklist-employers')?.focus();
+    }
+
+    /**
+     * Close the blocklist editor
+     */
+    function closeModal() {
+        const modal = document.getElementById('blocklist-modal');
+        if (modal) {
+            modal.hidden = true;
+            document.body.style.overflow = '';
+        }
+    }
+
+    /**
+     * Save the blocklist editor form
+     * @param {Event} e - Submit event
+     */
+    function handleFormSubmit(e) {
+        e.preventDefault();
+
+        const blocklist = {};
+        for (const type of LIST_TYPES) {
+            blocklist[type] = document.getElementById(`blocklist-${type}`)?.value || '';
+        }
+        save(blocklist);
+
+        closeModal();
+        renderSummary();
+        Utils.showToast('Blocklist saved.', 'success');
+    }
+
+    return {
+        get,
+        save,
+        getCount,
+        hideEmployer,
+        renderSummary,
+        openEditModal,
+        closeModal,
+        handleFormSubmit
+    };
+})();
@@ -0,0 +1,263 @@
+/**
+ * New England Jobs - Persistent Response Cache
+ * IndexedDB-backed API response cache with per-query-type freshness, so
+ * repeated searches survive new tabs and browser restarts without spending quota.
+ * The same database holds recorded fixtures (see Fixtures), which outgrow localStorage.
+ */
+
+const ResponseCache = (() => {
+    const DB_NAME = 'ne_jobs_cache';
+    const DB_VERSION = 2;
+    const STORE_NAME = 'responses';
+    const FIXTURE_STORE_NAME = 'fixtures';
+
+    let dbPromise = null;
+    // Used when IndexedDB is unavailable (private browsing, old browsers)
+    const memoryCache = new Map();
+    const memoryFixtures = new Map();
+
+    /**
+     * Open (and create on first use) the cache database
+     * @returns {Promise<IDBDatabase|null>} Database, or null if unavailable
+     */
+    function openDB() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise(resolve => {
+            if (!('indexedDB' in window)) {
+                resolve(null);
+                return;
+            }
+            let request;
+            try {
+                request = indexedDB.open(DB_NAME, DB_VERSION);
+            } catch {
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(FIXTURE_STORE_NAME)) {
+                    db.createObjectStore(FIXTURE_STORE_NAME, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+            request.onblocked = () => resolve(null);
+        });
+        return dbPromise;
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - Receives the store, returns an IDBRequest
+     * @param {string} storeName - Object store (the response cache by default)
+     * @returns {Promise<*>} Request result, or undefined on failure
+     */
+    async function runRequest(mode, fn, storeName = STORE_NAME) {
+        const db = await openDB();
+        if (!db) return undefined;
+
+        return new Promise(resolve => {
+            try {
+                const request = fn(db.transaction(storeName, mode).objectStore(storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(undefined);
+            } catch {
+                resolve(undefined);
+            }
+        });
+    }
+
+    /**
+     * Build a cache key from normalized query params, so equivalent queries
+     * (different param order, case or spacing) share one entry
+     * @param {string} providerId - Provider id
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters
+     * @returns {string} Cache key
+     */
+    function buildKey(providerId, endpoint, params) {
+        const normalized = Object.keys(params).sort().map(k => {
+            let value = String(params[k]).trim();
+            if (k === 'query') value = value.toLowerCase().replace(/\s+/g, ' ');
+            return [k, value];
+        });
+        return `${providerId}:${endpoint}?${new URLSearchParams(normalized).toString()}`;
+    }
+
+    /**
+     * Get the TTLs for a query type
+     * @param {string} type - Query type (API endpoint)
+     * @returns {Object} { freshMs, staleMs }
+     */
+    function getTTL(type) {
+        return CONFIG.CACHE_TTLS[type] || CONFIG.CACHE_TTLS.default;
+    }
+
+    /**
+     * Classify a cache entry by age
+     * @param {Object} entry - Cache entry
+     * @returns {string} 'fresh', 'stale' (servable, should be revalidated) or 'expired'
+     */
+    function getFreshness(entry) {
+        const age = Date.now() - entry.timestamp;
+        const ttl = getTTL(entry.type);
+        if (age <= ttl.freshMs) return 'fresh';
+        if (age <= ttl.staleMs) return 'stale';
+        return 'expired';
+    }
+
+    /**
+     * Get a cached response
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry { key, type, data, timestamp } or null
+     */
+    async function get(key) {
+        const db = await openDB();
+        const entry = db
+            ? await runRequest('readonly', store => store.get(key))
+            : memoryCache.get(key);
+        return entry || null;
+    }
+
+    /**
+     * Store a response
+     * @param {string} key - Cache key
+     * @param {string} type - Query type (API endpoint)
+     * @param {*} data - Response data
+     */
+    async function set(key, type, data) {
+        const entry = { key, type, data, timestamp: Date.now() };
+        const db = await openDB();
+        if (db) {
+            await runRequest('readwrite', store => store.put(entry));
+        } else {
+            memoryCache.set(key, entry);
+        }
+    }
+
+    /**
+     * Remove all cached responses
+     */
+    async function clear() {
+        memoryCache.clear();
+        await runRequest('readwrite', store => store.clear());
+    }
+
+    /**
+     * Count cached responses
+     * @returns {Promise<number>} Number of entries
+     */
+    async function count() {
+        const db = await openDB();
+        if (!db) return memoryCache.size;
+        return (await runRequest('readonly', store => store.count())) || 0;
+    }
+
+    /**
+     * Delete entries too old to be served
+     */
+    async function prune() {
+        const db = await openDB();
+        if (!db) return;
+
+        try {
+            const request = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (getFreshness(cursor.value) === 'expired') cursor.delete();
+                cursor.continue();
+            };
+        } catch {
+            // Pruning is best-effort
+        }
+    }
+
+    /**
+     * Get a recorded fixture
+     * @param {string} key - Fixture key
+     * @returns {Promise<Object|null>} Fixture entry or null
+     */
+    async function getFixture(key) {
+        const db = await openDB();
+        const entry = db
+            ? await runRequest('readonly', store => store.get(key), FIXTURE_STORE_NAME)
+            : memoryFixtures.get(key);
+        return entry || null;
+    }
+
+    /**
+     * Get every recorded fixture
+     * @returns {Promise<Array<Object>>} Fixture entries
+     */
+    async function getAllFixtures() {
+        const db = await openDB();
+        if (!db) return Array.from(memoryFixtures.values());
+        return (await runRequest('readonly', store => store.getAll(), FIXTURE_STORE_NAME)) || [];
+    }
+
+    /**
+     * Store recorded fixtures in one transaction
+     * @param {Array<Object>} entries - Fixture entries, each with a `key`
+     * @returns {Promise<boolean>} Success (false if storage is full or unavailable)
+     */
+    async function putFixtures(entries) {
+        const db = await openDB();
+        if (!db) {
+            entries.forEach(entry => memoryFixtures.set(entry.key, entry));
+            return true;
+        }
+
+        return new Promise(resolve => {
+            try {
+                const tx = db.transaction(FIXTURE_STORE_NAME, 'readwrite');
+                const store = tx.objectStore(FIXTURE_STORE_NAME);
+                entries.forEach(entry => store.put(entry));
+                tx.oncomplete = () => resolve(true);
+                tx.onerror = () => resolve(false);
+                tx.onabort = () => resolve(false);
+            } catch {
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Remove all recorded fixtures
+     */
+    async function clearFixtures() {
+        memoryFixtures.clear();
+        await runRequest('readwrite', store => store.clear(), FIXTURE_STORE_NAME);
+    }
+
+    /**
+     * Count recorded fixtures
+     * @returns {Promise<number>} Number of fixtures
+     */
+    async function countFixtures() {
+        const db = await openDB();
+        if (!db) return memoryFixtures.size;
+        return (await runRequest('readonly', store => store.count(), FIXTURE_STORE_NAME)) || 0;
+    }
+
+    return {
+        buildKey,
+        getFreshness,
+        get,
+        set,
+        clear,
+        count,
+        prune,
+        getFixture,
+        getAllFixtures,
+        putFixtures,
+        clearFixtures,
+        countFixtures
+    };
+})();
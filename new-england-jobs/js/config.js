@@ -11,11 +11,27 @@ const CONFIG = {
     RAPID_API_HOST: 'jsearch.p.rapidapi.com',
     API_BASE_URL: 'https://jsearch.p.rapidapi.com',
 
+    // Key-hiding proxy (proxy/server.js). When set, requests go to
+    // `${PROXY_URL}/<provider>/<endpoint>` with no RapidAPI key in the browser.
+    // Use '/api' when the site is served by the proxy itself.
+    PROXY_URL: '',
+
     // Fallback API
     FALLBACK_API_HOST: 'jobs-search-realtime-data.p.rapidapi.com',
     FALLBACK_API_URL: 'https://jobs-search-realtime-data.p.rapidapi.com',
 
-    // Sports / Winter Sports themes for relevance boosting
+    // How long a failing provider is skipped before JobsAPI tries it again. Quota and
+    // subscription errors (429/403) skip it at once; outages only after this many failures in a row.
+    PROVIDER_COOLDOWN_MS: 10 * 60 * 1000,
+    PROVIDER_FAILURES_BEFORE_COOLDOWN: 3,
+
+    // Fixture mode: 'off', 'record' (capture real responses) or 'replay' (serve searches
+    // from recorded fixtures, no key or network needed). ?fixtures=record|replay overrides.
+    FIXTURE_MODE: 'off',
+    // Optional same-origin fixture bundle loaded on replay when none is stored yet
+    FIXTURE_URL: '',
+
+    // Sports / Winter Sports boost terms for the built-in Sports Marketing scoring profile
     SPORTS_THEMES: [
         'skiing', 'snowboarding', 'winter sports', 'ski resort', 'ski',
         'outdoor recreation', 'outdoor', 'adventure', 'mountain',
@@ -26,7 +42,7 @@ const CONFIG = {
         'rei', 'backcountry', 'yeti'
     ],
 
-    // Marketing role keywords for relevance boosting
+    // Marketing role boost terms for the built-in Sports Marketing scoring profile
     MARKETING_KEYWORDS: [
         'marketing', 'brand', 'social media', 'content',
         'digital marketing', 'communications', 'PR', 'public relations',
@@ -35,25 +51,28 @@ const CONFIG = {
         'community manager', 'influencer', 'brand ambassador'
     ],
 
-    // Keep NE states for optional local filtering
-    NE_STATES: {
-        CT: { name: 'Connecticut', cities: ['Hartford', 'New Haven', 'Stamford', 'Bridgeport', 'Waterbury'] },
-        MA: { name: 'Massachusetts', cities: ['Boston', 'Cambridge', 'Worcester', 'Springfield', 'Lowell'] },
-        ME: { name: 'Maine', cities: ['Portland', 'Lewiston', 'Bangor', 'South Portland', 'Auburn'] },
-        NH: { name: 'New Hampshire', cities: ['Manchester', 'Nashua', 'Concord', 'Dover', 'Rochester'] },
-        RI: { name: 'Rhode Island', cities: ['Providence', 'Warwick', 'Cranston', 'Pawtucket', 'East Providence'] },
-        VT: { name: 'Vermont', cities: ['Burlington', 'South Burlington', 'Rutland', 'Barre', 'Montpelier'] }
-    },
-
-    MAJOR_NE_CITIES: ['Boston', 'Hartford', 'Providence', 'Portland ME', 'Manchester NH', 'Burlington VT'],
-
-    // Job Categories - remote-first
+    // Job Categories - remote-first. outsideRegion marks hybrid/on-site jobs located
+    // outside the selected region: not matched by state filters, off by default in alerts.
+    // {region} in a label is the region's abbreviation (see Regions.getCategory); the
+    // "-ne" ids predate region packs and are kept so saved alerts still match.
     JOB_CATEGORIES: {
         'remote': { label: 'Remote', color: '#10b981', icon: '\uD83C\uDF10', cssClass: 'badge-remote' },
         'remote-us': { label: 'Remote (US)', color: '#3b82f6', icon: '\uD83C\uDDFA\uD83C\uDDF8', cssClass: 'badge-remote-us' },
-        'hybrid-ne': { label: 'Hybrid', color: '#f59e0b', icon: '\uD83C\uDFE2', cssClass: 'badge-hybrid' },
-        'onsite-ne': { label: 'On-site', color: '#6366f1', icon: '\uD83D\uDCCD', cssClass: 'badge-onsite' },
-        'remote-ne-company': { label: 'Remote (NE Co.)', color: '#8b5cf6', icon: '\u2B50', cssClass: 'badge-remote-ne' }
+        'hybrid-ne': { label: 'Hybrid ({region})', color: '#f59e0b', icon: '\uD83C\uDFE2', cssClass: 'badge-hybrid' },
+        'onsite-ne': { label: 'On-site ({region})', color: '#6366f1', icon: '\uD83D\uDCCD', cssClass: 'badge-onsite' },
+        'remote-ne-company': { label: 'Remote ({region} Co.)', color: '#8b5cf6', icon: '\u2B50', cssClass: 'badge-remote-ne' },
+        'hybrid-other': { label: 'Hybrid (Outside {region})', color: '#78716c', icon: '\uD83C\uDFE2', cssClass: 'badge-hybrid-other', outsideRegion: true },
+        'onsite-other': { label: 'On-site (Outside {region})', color: '#64748b', icon: '\uD83D\uDCCD', cssClass: 'badge-onsite-other', outsideRegion: true }
+    },
+
+    // Seniority levels, junior to senior, inferred from titles and experience (see Filters.inferSeniority)
+    SENIORITY_LEVELS: {
+        'intern': { label: 'Intern' },
+        'entry': { label: 'Entry level' },
+        'mid': { label: 'Mid level' },
+        'senior': { label: 'Senior' },
+        'lead': { label: 'Lead / Manager' },
+        'director': { label: 'Director+' }
     },
 
     // Rate Limiting
@@ -61,22 +80,80 @@ const CONFIG = {
         maxRequests: 10,
         windowMs: 60000
     },
+    // Longest Retry-After a search will sit out before retrying on its own
+    MAX_RETRY_AFTER_MS: 10000,
 
-    // Cache
-    CACHE_DURATION_MS: 5 * 60 * 1000,
+    // Monthly API budget (free tier is ~250-500 requests/month). Changeable from the
+    // usage meter in the header; real requests stop once it is reached.
+    MONTHLY_BUDGET: 250,
+    BUDGET_WARNING_THRESHOLDS: {
+        warning: 0.8,
+        critical: 0.95
+    },
+
+    // Persistent response cache (IndexedDB), TTLs per query type (API endpoint).
+    // Fresh entries are served without a request; stale ones are still served and
+    // shown as cached until refreshed; expired ones are refetched.
+    CACHE_TTLS: {
+        search: { freshMs: 12 * 60 * 60 * 1000, staleMs: 7 * 24 * 60 * 60 * 1000 },
+        'job-details': { freshMs: 24 * 60 * 60 * 1000, staleMs: 30 * 24 * 60 * 60 * 1000 },
+        default: { freshMs: 60 * 60 * 1000, staleMs: 24 * 60 * 60 * 1000 }
+    },
+    // Refresh stale entries automatically (costs quota) instead of waiting for "Refresh"
+    CACHE_REVALIDATE_IN_BACKGROUND: false,
 
     // Pagination
     RESULTS_PER_PAGE: 20,
 
+    // Query planning: with Hybrid/On-site in the region checked, a search adds "keywords in
+    // <metro>" queries for the region's metros in the checked states, then state-wide ones. Only the first
+    // initialQueries run up front; "Load more from source" runs the rest before
+    // fetching deeper pages. A plan runs at most maxQueries first pages; the query
+    // report lists any beyond that as skipped. Deeper pages count against SOURCE_PAGING.requestBudget.
+    QUERY_PLANNING: {
+        initialQueries: 6,
+        maxQueries: 16,
+        stateVariants: true
+    },
+
+    // "Best match" sort: BM25F over the fetched results. k1 caps how much repeating
+    // a term helps; b sets how strongly long fields are normalized (0 = not at all).
+    // Field weights come from the active scoring profile.
+    BM25: {
+        k1: 1.2,
+        b: 0.75
+    },
+
+    // Source paging: how many API pages a search may pull via "Load more from source"
+    SOURCE_PAGING: {
+        apiPageSize: 10,        // Jobs per JSearch page; a shorter page means the query is exhausted
+        maxPagesPerQuery: 5,
+        requestBudget: 12,      // API requests per search for pages after each query's first
+        requestsPerLoad: 3      // API requests per "Load more" click
+    },
+
+    // Duplicate detection: jobs with the same normalized title, employer and location are
+    // one role when their descriptions share at least descriptionSimilarity of the shorter
+    // one's distinct words. Descriptions under minDescriptionWords are not compared.
+    DEDUPE: {
+        descriptionSimilarity: 0.6,
+        minDescriptionWords: 20
+    },
+
     // Debounce
     DEBOUNCE_MS: 300,
 
     // Default preferences - remote-first
     DEFAULT_PREFERENCES: {
         defaultCategories: ['remote', 'remote-us'],
-        defaultStates: ['CT', 'MA', 'ME', 'NH', 'RI', 'VT'],
         resultsPerPage: 20,
         sortBy: 'relevance',
-        theme: 'light'
+        theme: 'light',
+        // Apply buttons open the employer's own posting when the provider lists one
+        preferDirectApply: false,
+        // Region pack for states, categories and query planning (see js/regions.js)
+        region: 'new-england',
+        // Town the distance filter measures from, as "Name, ST" (see js/gazetteer.js)
+        homeLocation: ''
     }
 };
@@ -0,0 +1,155 @@
+/**
+ * New England Jobs - Duplicate Detection
+ * Clusters the same role syndicated through several publishers (LinkedIn, Indeed,
+ * the company's own board...) by normalized title, employer and location, confirmed
+ * by comparing descriptions, so each role shows once with "also on" links
+ */
+
+const Dedupe = (() => {
+    // Words dropped from titles before comparing ("Marketing Manager (Remote)" = "Marketing Manager")
+    const TITLE_NOISE = new Set(['remote', 'hybrid', 'onsite', 'on', 'site', 'wfh', 'the', 'a', 'an']);
+
+    /**
+     * Lowercase text and reduce it to words
+     * @param {string} text - Text
+     * @returns {Array<string>} Words (letters and digits only)
+     */
+    function toWords(text) {
+        return String(text || '').toLowerCase().replace(/['’]/g, '').split(/[^a-z0-9+#]+/).filter(Boolean);
+    }
+
+    /**
+     * Build the key jobs must share to be considered copies of each other
+     * @param {Object} job - Job object
+     * @returns {string|null} "title|employer|location", or null if the title or employer is missing
+     */
+    function getClusterKey(job) {
+        const title = toWords(String(job.job_title || '').replace(/\([^)]*\)|\[[^\]]*\]/g, ' '))
+            .filter(word => !TITLE_NOISE.has(word))
+            .join(' ');
+        const employer = EmployerDirectory.normalizeName(job.employer_name);
+        // Too little to go on: never cluster jobs without a title or employer
+        if (!title || !employer) return null;
+
+        let location = 'remote';
+        if (!job.job_is_remote) {
+            const state = Regions.getStateCode(job.job_state) || toWords(job.job_state).join(' ');
+            location = `${toWords(job.job_city).join(' ')},${state}`;
+        }
+        return `${title}|${employer}|${location}`;
+    }
+
+    /**
+     * Compare two descriptions by the share of distinct words they have in common,
+     * relative to the shorter one, so a publisher's truncated copy still matches
+     * @param {string} a - Description
+     * @param {string} b - Description
+     * @returns {number|null} 0-1, or null if either is too short to compare
+     */
+    function getDescriptionSimilarity(a, b) {
+        const setA = new Set(toWords(a).filter(word => word.length > 2));
+        const setB = new Set(toWords(b).filter(word => word.length > 2));
+        const min = Math.min(setA.size, setB.size);
+        if (min < CONFIG.DEDUPE.minDescriptionWords) return null;
+
+        let shared = 0;
+        for (const word of setA) {
+            if (setB.has(word)) shared++;
+        }
+        return shared / min;
+    }
+
+    /**
+     * Whether a job is a copy of a cluster's primary job
+     * @param {Object} job - Job object
+     * @param {Object} primary - Job shown for the cluster
+     * @returns {boolean} Whether they describe the same role
+     */
+    function isDuplicate(job, primary) {
+        const similarity = getDescriptionSimilarity(job.job_description, primary.job_description);
+        return similarity === null || similarity >= CONFIG.DEDUPE.descriptionSimilarity;
+    }
+
+    /**
+     * Keep just what a copy contributes to its cluster: its ID and how to apply through it
+     * @param {Object} job - Duplicate job
+     * @returns {Object} { job_id, job_publisher, job_apply_link, job_apply_is_direct, apply_options }
+     */
+    function summarizeCopy(job) {
+        return {
+            job_id: job.job_id,
+            job_publisher: job.job_publisher || '',
+            job_apply_link: job.job_apply_link || '',
+            job_apply_is_direct: Boolean(job.job_apply_is_direct),
+            apply_options: job.apply_options || []
+        };
+    }
+
+    /**
+     * Merge jobs into a search's clusters. The first copy of a role becomes its
+     * primary job; later copies are attached to it as `_duplicates`.
+     * @param {Map} clusters - Cluster key -> primary jobs, kept across pages of a search
+     * @param {Array<Object>} jobs - Newly fetched jobs (already unique by ID)
+     * @returns {Object} { jobs: new primary jobs, duplicates: number of copies merged }
+     */
+    function mergeJobs(clusters, jobs) {
+        const primaries = [];
+        let duplicates = 0;
+
+        for (const job of jobs) {
+            const key = getClusterKey(job);
+            if (!key) {
+                primaries.push({ ...job, _duplicates: [] });
+                continue;
+            }
+            const candidates = clusters.get(key) || [];
+            const primary = candidates.find(candidate => isDuplicate(job, candidate));
+
+            if (primary) {
+                primary._duplicates.push(summarizeCopy(job));
+                duplicates++;
+                continue;
+            }
+
+            // Copy so the cached provider response is never annotated
+            const copy = { ...job, _duplicates: [] };
+            clusters.set(key, [...candidates, copy]);
+            primaries.push(copy);
+        }
+        return { jobs: primaries, duplicates };
+    }
+
+    /**
+     * Get the IDs of every copy of a job
+     * @param {Object} job - Job object
+     * @returns {Array<string>} The job's own ID, then its duplicates'
+     */
+    function getClusterIds(job) {
+        return [job.job_id, ...(job._duplicates || []).map(copy => copy.job_id)];
+    }
+
+    /**
+     * List the other publishers a job is posted on
+     * @param {Object} job - Job object
+     * @returns {Array<Object>} { publisher, apply_link }, one per publisher other than the job's own
+     */
+    function getAlsoOn(job) {
+        const seen = new Set([String(job.job_publisher || '').toLowerCase()]);
+        const links = [];
+        for (const copy of job._duplicates || []) {
+            const key = copy.job_publisher.toLowerCase();
+            if (!copy.job_publisher || !copy.job_apply_link || seen.has(key)) continue;
+            seen.add(key);
+            links.push({ publisher: copy.job_publisher, apply_link: copy.job_apply_link });
+        }
+        return links;
+    }
+
+    return {
+        getClusterKey,
+        getDescriptionSimilarity,
+        mergeJobs,
+        getClusterIds,
+        getAlsoOn
+    };
+})();
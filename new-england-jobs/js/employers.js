@@ -0,0 +1,252 @@
+/**
+ * New England Jobs - Employer Directory
+ * Bundled list of New England-headquartered companies (with aliases), plus the
+ * user's own additions and corrections, used to spot remote jobs at companies
+ * based in the selected region
+ */
+
+const EmployerDirectory = (() => {
+    const STORAGE_KEY = 'ne_jobs_employer_directory';
+
+    // Suffixes dropped when comparing company names ("Hasbro, Inc." matches "Hasbro")
+    const NAME_SUFFIXES = new Set(['inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'co', 'corp', 'corporation', 'company', 'plc']);
+
+    const BUILT_IN_EMPLOYERS = [
+        // Sports, media and sporting goods
+        { name: 'Kraft Sports + Entertainment', state: 'MA', city: 'Foxborough', aliases: ['Kraft Group', 'The Kraft Group', 'New England Patriots', 'New England Revolution', 'Gillette Stadium', 'Patriot Place'] },
+        { name: 'Fenway Sports Group', state: 'MA', city: 'Boston', aliases: ['Boston Red Sox', 'Red Sox', 'Fenway Park', 'Fenway Sports Management'] },
+        { name: 'Boston Celtics', state: 'MA', city: 'Boston', aliases: ['Celtics'] },
+        { name: 'Boston Bruins', state: 'MA', city: 'Boston', aliases: ['TD Garden', 'Bruins'] },
+        { name: 'NESN', state: 'MA', city: 'Watertown', aliases: ['New England Sports Network'] },
+        { name: 'NBC Sports Boston', state: 'MA', city: 'Burlington', aliases: [] },
+        { name: 'Boston Athletic Association', state: 'MA', city: 'Boston', aliases: ['BAA', 'Boston Marathon'] },
+        { name: 'DraftKings', state: 'MA', city: 'Boston', aliases: ['DraftKings Inc'] },
+        { name: 'ESPN', state: 'CT', city: 'Bristol', aliases: ['ESPN Inc'] },
+        { name: 'WWE', state: 'CT', city: 'Stamford', aliases: ['World Wrestling Entertainment', 'TKO Group'] },
+        { name: 'Connecticut Sun', state: 'CT', city: 'Uncasville', aliases: [] },
+        { name: 'Mohegan Sun', state: 'CT', city: 'Uncasville', aliases: ['Mohegan Gaming & Entertainment'] },
+        { name: 'Hartford Athletic', state: 'CT', city: 'Hartford', aliases: [] },
+        { name: 'Portland Sea Dogs', state: 'ME', city: 'Portland', aliases: [] },
+        { name: 'Worcester Red Sox', state: 'MA', city: 'Worcester', aliases: ['WooSox', 'Polar Park'] },
+        { name: 'New Balance', state: 'MA', city: 'Boston', aliases: ['New Balance Athletics'] },
+        { name: 'Reebok', state: 'MA', city: 'Boston', aliases: ['Reebok International'] },
+        { name: 'Converse', state: 'MA', city: 'Boston', aliases: [] },
+        { name: 'PUMA North America', state: 'MA', city: 'Somerville', aliases: [] },
+        { name: 'Saucony', state: 'MA', city: 'Lexington', aliases: [] },
+        { name: 'Timberland', state: 'NH', city: 'Stratham', aliases: ['The Timberland Company'] },
+        { name: 'L.L.Bean', state: 'ME', city: 'Freeport', aliases: ['LL Bean', 'L L Bean', 'L.L. Bean'] },
+        { name: 'Burton Snowboards', state: 'VT', city: 'Burlington', aliases: ['Burton'] },
+        { name: 'Orvis', state: 'VT', city: 'Sunderland', aliases: ['The Orvis Company'] },
+        { name: 'Stowe Mountain Resort', state: 'VT', city: 'Stowe', aliases: [] },
+        { name: 'Boston Globe Media Partners', state: 'MA', city: 'Boston', aliases: ['The Boston Globe', 'Boston Globe'] },
+        { name: 'WGBH', state: 'MA', city: 'Boston', aliases: ['GBH'] },
+        { name: 'Hasbro', state: 'RI', city: 'Pawtucket', aliases: [] },
+
+        // Consumer brands and retail
+        { name: 'Dunkin\'', state: 'MA', city: 'Canton', aliases: ['Dunkin Brands', 'Dunkin Donuts'] },
+        { name: 'The TJX Companies', state: 'MA', city: 'Framingham', aliases: ['TJX', 'TJ Maxx', 'Marshalls', 'HomeGoods'] },
+        { name: 'Staples', state: 'MA', city: 'Framingham', aliases: [] },
+        { name: 'Bose', state: 'MA', city: 'Framingham', aliases: ['Bose Corporation'] },
+        { name: 'Wayfair', state: 'MA', city: 'Boston', aliases: [] },
+        { name: 'BJ\'s Wholesale Club', state: 'MA', city: 'Marlborough', aliases: ['BJs Wholesale', 'BJ\'s'] },
+        { name: 'Ocean Spray', state: 'MA', city: 'Lakeville', aliases: ['Ocean Spray Cranberries'] },
+        { name: 'The Boston Beer Company', state: 'MA', city: 'Boston', aliases: ['Boston Beer', 'Samuel Adams'] },
+        { name: 'Stop & Shop', state: 'MA', city: 'Quincy', aliases: ['Stop and Shop'] },
+        { name: 'Market Basket', state: 'MA', city: 'Tewksbury', aliases: ['DeMoulas Market Basket'] },
+        { name: 'Polar Beverages', state: 'MA', city: 'Worcester', aliases: [] },
+        { name: 'CVS Health', state: 'RI', city: 'Woonsocket', aliases: ['CVS', 'CVS Pharmacy'] },
+        { name: 'Ocean State Job Lot', state: 'RI', city: 'North Kingstown', aliases: [] },
+        { name: 'Hannaford', state: 'ME', city: 'Scarborough', aliases: ['Hannaford Supermarkets'] },
+        { name: 'Ben & Jerry\'s', state: 'VT', city: 'South Burlington', aliases: ['Ben and Jerrys'] },
+        { name: 'King Arthur Baking', state: 'VT', city: 'Norwich', aliases: ['King Arthur Flour'] },
+        { name: 'Cabot Creamery', state: 'VT', city: 'Waitsfield', aliases: [] },
+
+        // Technology, finance, health and industry
+        { name: 'HubSpot', state: 'MA', city: 'Cambridge', aliases: [] },
+        { name: 'Akamai Technologies', state: 'MA', city: 'Cambridge', aliases: ['Akamai'] },
+        { name: 'Toast', state: 'MA', city: 'Boston', aliases: [] },
+        { name: 'Rapid7', state: 'MA', city: 'Boston', aliases: [] },
+        { name: 'PTC', state: 'MA', city: 'Boston', aliases: [] },
+        { name: 'Klaviyo', state: 'MA', city: 'Boston', aliases: [] },
+        { name: 'Fidelity Investments', state: 'MA', city: 'Boston', aliases: ['Fidelity'] },
+        { name: 'Liberty Mutual Insurance', state: 'MA', city: 'Boston', aliases: ['Liberty Mutual'] },
+        { name: 'State Street', state: 'MA', city: 'Boston', aliases: ['State Street Corporation'] },
+        { name: 'John Hancock', state: 'MA', city: 'Boston', aliases: ['Manulife John Hancock'] },
+        { name: 'Boston Scientific', state: 'MA', city: 'Marlborough', aliases: [] },
+        { name: 'Vertex Pharmaceuticals', state: 'MA', city: 'Boston', aliases: ['Vertex'] },
+        { name: 'Moderna', state: 'MA', city: 'Cambridge', aliases: [] },
+        { name: 'Biogen', state: 'MA', city: 'Cambridge', aliases: [] },
+        { name: 'Mass General Brigham', state: 'MA', city: 'Boston', aliases: ['Massachusetts General Hospital', 'Brigham and Women\'s Hospital'] },
+        { name: 'Citizens Financial Group', state: 'RI', city: 'Providence', aliases: ['Citizens Bank'] },
+        { name: 'Textron', state: 'RI', city: 'Providence', aliases: [] },
+        { name: 'Gilbane Building Company', state: 'RI', city: 'Providence', aliases: ['Gilbane'] },
+        { name: 'The Hartford', state: 'CT', city: 'Hartford', aliases: ['Hartford Financial Services Group'] },
+        { name: 'Cigna', state: 'CT', city: 'Bloomfield', aliases: ['The Cigna Group'] },
+        { name: 'Stanley Black & Decker', state: 'CT', city: 'New Britain', aliases: ['Stanley Black and Decker'] },
+        { name: 'Pratt & Whitney', state: 'CT', city: 'East Hartford', aliases: ['Pratt and Whitney'] },
+        { name: 'Synchrony', state: 'CT', city: 'Stamford', aliases: ['Synchrony Financial'] },
+        { name: 'Charter Communications', state: 'CT', city: 'Stamford', aliases: [] },
+        { name: 'Aetna', state: 'CT', city: 'Hartford', aliases: ['Aetna, a CVS Health Company'] },
+        { name: 'IDEXX Laboratories', state: 'ME', city: 'Westbrook', aliases: ['IDEXX'] },
+        { name: 'Unum', state: 'ME', city: 'Portland', aliases: ['Unum Group'] },
+        { name: 'WEX', state: 'ME', city: 'Portland', aliases: ['WEX Inc'] },
+        { name: 'Dartmouth Health', state: 'NH', city: 'Lebanon', aliases: ['Dartmouth-Hitchcock'] },
+        { name: 'Sig Sauer', state: 'NH', city: 'Newington', aliases: [] },
+        { name: 'Green Mountain Power', state: 'VT', city: 'Colchester', aliases: [] }
+    ];
+
+    /**
+     * Normalize a company name for lookup
+     * @param {string} name - Company name
+     * @returns {string} Lowercase name without punctuation, "the" or legal suffixes
+     */
+    function normalizeName(name) {
+        const words = String(name || '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/['’.]/g, '')
+            .split(/[^a-z0-9+]+/)
+            .filter(Boolean);
+        if (words[0] === 'the' && words.length > 1) words.shift();
+        while (words.length > 1 && NAME_SUFFIXES.has(words[words.length - 1])) words.pop();
+        return words.join(' ');
+    }
+
+    // Normalized name or alias -> built-in entry
+    const BUILT_IN_INDEX = new Map();
+    for (const entry of BUILT_IN_EMPLOYERS) {
+        for (const name of [entry.name, ...entry.aliases]) {
+            BUILT_IN_INDEX.set(normalizeName(name), entry);
+        }
+    }
+
+    /**
+     * Get the user's entries, keyed by normalized company name
+     * @returns {Object} { [key]: { name, state, city, region } }; state null means outside the
+     *                   region whose id is in `region` (New England for entries saved before region packs)
+     */
+    function getUserEntries() {
+        return Utils.getStorage(STORAGE_KEY, {});
+    }
+
+    /**
+     * Whether a user entry applies in the selected region. A state applies everywhere;
+     * "outside" only holds for the region it was saved in, so it never hides a
+     * built-in headquarters from other regions.
+     * @param {Object} entry - User entry
+     * @returns {boolean} Whether to use it
+     */
+    function appliesToActiveRegion(entry) {
+        if (entry.state) return true;
+        return (entry.region || Regions.getRegions()[0].id) === Regions.getActive().id;
+    }
+
+    /**
+     * Look up a company's headquarters
+     * @param {string} employerName - Company name as given by the job
+     * @returns {Object|null} { name, state, city, source: 'user'|'built-in' }; state is null
+     *                        when the user says the company is outside the selected region
+     */
+    function lookup(employerName) {
+        const key = normalizeName(employerName);
+        if (!key) return null;
+
+        const user = getUserEntries()[key];
+        if (user && appliesToActiveRegion(user)) return { name: user.name, state: user.state || null, city: user.city || '', source: 'user' };
+
+        const builtIn = BUILT_IN_INDEX.get(key);
+        if (builtIn) return { name: builtIn.name, state: builtIn.state, city: builtIn.city, source: 'built-in' };
+        return null;
+    }
+
+    /**
+     * Get a company's HQ, if it is in the selected region
+     * @param {string} employerName - Company name
+     * @returns {Object|null} Directory entry with a state in the region
+     */
+    function findRegionalHeadquarters(employerName) {
+        const entry = lookup(employerName);
+        return entry && entry.state && Regions.getStates()[entry.state] ? entry : null;
+    }
+
+    /**
+     * Add or correct a company's headquarters
+     * @param {string} employerName - Company name as given by the job
+     * @param {Object} hq - { state: state code in the region, or '' for outside it; city }
+     * @returns {boolean} Success
+     */
+    function setEntry(employerName, { state = '', city = '' } = {}) {
+        const key = normalizeName(employerName);
+        if (!key) {
+            throw new Error('This job has no company name to add.');
+        }
+        const region = Regions.getActive();
+        if (state && !region.states[state]) {
+            throw new Error(`Pick a ${region.name} state, or "Outside ${region.name}".`);
+        }
+
+        const entries = getUserEntries();
+        const entry = { name: String(employerName).trim(), state: state || null, city: String(city || '').trim() };
+        if (!state) entry.region = region.id;
+        entries[key] = entry;
+        return Utils.setStorage(STORAGE_KEY, entries);
+    }
+
+    /**
+     * Remove the user's entry for a company, restoring the bundled one (if any)
+     * @param {string} employerName - Company name
+     * @returns {boolean} Whether an entry was removed
+     */
+    function removeEntry(employerName) {
+        const key = normalizeName(employerName);
+        const entries = getUserEntries();
+        if (!entries[key]) return false;
+        delete entries[key];
+        return Utils.setStorage(STORAGE_KEY, entries);
+    }
+
+    /**
+     * Format a directory entry's headquarters
+     * @param {Object} entry - Entry from lookup
+     * @returns {string} e.g. "Foxborough, MA" or "outside New England"
+     */
+    function formatHeadquarters(entry) {
+        if (!entry.state) return `outside ${Regions.getActive().name}`;
+        if (entry.city) return `${entry.city}, ${entry.state}`;
+        return Regions.getStates()[entry.state]?.name || entry.state;
+    }
+
+    /**
+     * Save the headquarters form in the job detail modal
+     * @param {Event} e - Submit event
+     * @param {Object} job - Job shown in the modal
+     * @returns {boolean} Whether the entry was saved
+     */
+    function handleFormSubmit(e, job) {
+        e.preventDefault();
+        const form = e.target;
+
+        try {
+            setEntry(job.employer_name, {
+                state: form.querySelector('[name="hq-state"]')?.value || '',
+                city: form.querySelector('[name="hq-city"]')?.value || ''
+            });
+        } catch (error) {
+            Utils.showToast(error.message, 'warning');
+            return false;
+        }
+
+        Utils.showToast(`Saved headquarters for ${job.employer_name}.`, 'success');
+        return true;
+    }
+
+    return {
+        normalizeName,
+        lookup,
+        findRegionalHeadquarters,
+        setEntry,
+        removeEntry,
+        formatHeadquarters,
+        handleFormSubmit
+    };
+})();
@@ -1,29 +1,22 @@
 /**
  * New England Jobs - Filters & Relevance Scoring
- * Location qualification, job categorization, and relevance scoring
+ * Location qualification, job categorization, seniority, keyword matching and relevance scoring
  */
 
 const Filters = (() => {
-    // NE state codes for quick lookup
-    const NE_STATE_CODES = new Set(['CT', 'MA', 'ME', 'NH', 'RI', 'VT']);
-
-    // NE state full names for text matching
-    const NE_STATE_NAMES = {
-        'connecticut': 'CT',
-        'massachusetts': 'MA',
-        'maine': 'ME',
-        'new hampshire': 'NH',
-        'rhode island': 'RI',
-        'vermont': 'VT'
+    // Categories whose jobs are located in the selected region, so the state filter applies
+    const REGION_LOCATION_CATEGORIES = new Set(['hybrid-ne', 'onsite-ne', 'remote-ne-company']);
+
+    // Display names for the scored job fields
+    const SCORE_FIELD_LABELS = {
+        title: 'Title',
+        description: 'Description',
+        highlights: 'Highlights',
+        company: 'Company'
     };
 
-    // All NE cities flattened for matching
-    const ALL_NE_CITIES = new Set();
-    for (const stateCode of Object.keys(CONFIG.NE_STATES)) {
-        for (const city of CONFIG.NE_STATES[stateCode].cities) {
-            ALL_NE_CITIES.add(city.toLowerCase());
-        }
-    }
+    // Categories measured by the distance filter (remote jobs have no commute)
+    const COMMUTE_CATEGORIES = new Set(['hybrid-ne', 'onsite-ne', 'hybrid-other', 'onsite-other']);
 
     /**
      * Determine if a job qualifies and what category it belongs to
@@ -38,18 +31,32 @@ const Filters = (() => {
         const title = (job.job_title || '').toLowerCase();
         const description = (job.job_description || '').toLowerCase();
 
-        // Check if the job is in a NE state
-        const isInNEState = NE_STATE_CODES.has(jobState) || isNELocation(job);
+        // Check if the job is in one of the region's states
+        const regionState = getJobRegionState(job);
+        const isInRegion = regionState !== null;
+        const regionName = Regions.getActive().name;
+
+        // Remote jobs often list only "United States"; the employer directory knows the HQ
+        const headquarters = isRemote && !isInRegion ? EmployerDirectory.findRegionalHeadquarters(job.employer_name) : null;
 
         // Check for hybrid keywords
         const isHybrid = /hybrid/i.test(title) || /hybrid/i.test(description);
 
         // Category determination
-        if (isRemote && isInNEState) {
+        if (isRemote && isInRegion) {
+            return {
+                qualifies: true,
+                category: 'remote-ne-company',
+                reason: `Remote position from ${job.job_city || ''}, ${regionState} company`
+            };
+        }
+
+        if (headquarters) {
             return {
                 qualifies: true,
                 category: 'remote-ne-company',
-                reason: `Remote position from ${job.job_city || ''}, ${jobState} company`
+                reason: `Remote position at ${headquarters.name}, headquartered in ${EmployerDirectory.formatHeadquarters(headquarters)}`,
+                headquarters
             };
         }
 
@@ -69,199 +76,751 @@ const Filters = (() => {
             };
         }
 
-        if (isInNEState && isHybrid) {
+        if (isInRegion && isHybrid) {
             return {
                 qualifies: true,
                 category: 'hybrid-ne',
-                reason: `Hybrid position in ${job.job_city || ''}, ${jobState}`
+                reason: `Hybrid position in ${job.job_city || ''}, ${regionState}`
             };
         }
 
-        if (isInNEState) {
+        if (isInRegion) {
             return {
                 qualifies: true,
                 category: 'onsite-ne',
-                reason: `On-site position in ${job.job_city || ''}, ${jobState}`
+                reason: `On-site position in ${job.job_city || ''}, ${regionState}`
             };
         }
 
-        // Non-NE hybrid
+        // Hybrid outside the region
         if (isHybrid) {
             return {
                 qualifies: true,
-                category: 'hybrid-ne',
-                reason: `Hybrid position in ${job.job_city || ''}, ${jobState || jobCountry}`
+                category: 'hybrid-other',
+                reason: `Hybrid position outside ${regionName} (${job.job_city || ''}, ${jobState || jobCountry})`
             };
         }
 
-        // Non-NE on-site - still show it, categorize as on-site
+        // On-site outside the region - still show it, under its own category
         return {
             qualifies: true,
-            category: 'onsite-ne',
-            reason: `On-site position in ${job.job_city || ''}, ${jobState || jobCountry}`
+            category: 'onsite-other',
+            reason: `On-site position outside ${regionName} (${job.job_city || ''}, ${jobState || jobCountry})`
         };
     }
 
     /**
-     * Check if a job's location is in New England (broader matching)
+     * Get the selected region's state code for a job (if it is in the region)
      * @param {Object} job - Job object
-     * @returns {boolean} Whether the job is in NE
+     * @returns {string|null} Two-letter state code or null
      */
-    function isNELocation(job) {
-        const state = (job.job_state || '').trim();
-        const city = (job.job_city || '').toLowerCase().trim();
-        const description = (job.job_description || '').toLowerCase();
+    function getJobRegionState(job) {
+        // State code or name
+        const state = Regions.getStateCode(job.job_state);
+        if (state) return state;
+
+        // Any town in the region pack, unless the job names a state or country outside the region
+        const place = Gazetteer.findJobPlace(job);
+        return place ? place.state : null;
+    }
 
-        // Direct state code match
-        if (NE_STATE_CODES.has(state.toUpperCase())) return true;
+    /**
+     * Get the distance from a home location to a hybrid or on-site job
+     * @param {Object} job - Job object
+     * @param {string} category - Job category from isQualifyingJob
+     * @param {Object|null} home - Home place ({ lat, lon }) from Gazetteer.parsePlace
+     * @returns {number|null} Miles, or null for remote jobs, unplaceable jobs, or no home
+     */
+    function getJobDistance(job, category, home) {
+        if (!home || !COMMUTE_CATEGORIES.has(category)) return null;
+        const coords = Gazetteer.getJobCoordinates(job);
+        return coords ? Gazetteer.distanceMiles(home, coords) : null;
+    }
 
-        // State name match
-        for (const [name, code] of Object.entries(NE_STATE_NAMES)) {
-            if (state.toLowerCase() === name) return true;
-            // Check if state name appears in description with city context
-            if (description.includes(name) && ALL_NE_CITIES.has(city)) return true;
+    /**
+     * Check a job against the distance filter. Remote jobs always pass; hybrid and
+     * on-site jobs pass only if they can be placed within the radius.
+     * @param {Object} job - Job object (with _distance from applyFilters)
+     * @param {string} category - Job category from isQualifyingJob
+     * @param {number} maxDistance - Radius in miles (0 for any distance)
+     * @returns {boolean} Whether the job passes
+     */
+    function matchesDistance(job, category, maxDistance) {
+        if (!maxDistance || !COMMUTE_CATEGORIES.has(category)) return true;
+        return job._distance !== null && job._distance <= maxDistance;
+    }
+
+    /**
+     * Check a job against a state filter. Only jobs in the region's categories
+     * are filtered; remote and outside-region jobs have no state to compare.
+     * Remote jobs placed by their employer's HQ are filtered by the HQ state.
+     * @param {Object} job - Job object
+     * @param {string} category - Job category from isQualifyingJob
+     * @param {Set<string>|Array<string>} states - Selected state codes
+     * @returns {boolean} Whether the job passes
+     */
+    function matchesStates(job, category, states) {
+        if (!REGION_LOCATION_CATEGORIES.has(category)) return true;
+        let regionState = job._regionState !== undefined ? job._regionState : getJobRegionState(job);
+        if (!regionState && category === 'remote-ne-company') {
+            regionState = EmployerDirectory.findRegionalHeadquarters(job.employer_name)?.state || null;
         }
+        const selected = states instanceof Set ? states : new Set(states);
+        return !regionState || selected.has(regionState);
+    }
 
-        // City match
-        if (ALL_NE_CITIES.has(city)) return true;
+    // ==========================================
+    // Seniority
+    // ==========================================
+
+    // Title words that give a job's level away, checked in this order, so an
+    // "Intern, Office of the CMO" is an intern and a "Senior Manager" a manager.
+    // "Staff" is senior only before an engineering-style role ("Staff Accountant" is
+    // usually entry level), and roman numerals count only at the end of the title.
+    const SENIORITY_TITLE_PATTERNS = [
+        ['intern', /\b(intern|internship|co-op|apprentice)\b/i],
+        ['director', /\b(chief|ceo|cmo|cfo|coo|cto|cro|vp|svp|evp|avp|vice president|director|head of)\b/i],
+        ['lead', /\b(lead(?! gen)|manager|mgr|supervisor|principal)\b/i],
+        ['senior', /\b(senior|sr|staff\s+(?:[\w-]+\s+){0,2}?(?:engineer|scientist|designer|developer|architect))\b|\b(iii|iv)\s*$/i],
+        ['mid', /\b(mid-level|mid level|intermediate)\b|\bii\s*$/i],
+        ['entry', /\b(junior|jr|entry-level|entry level|associate|assistant|coordinator|trainee|graduate)\b|\bi\s*$/i]
+    ];
+
+    // "... to the CEO", "..., Office of the CFO": whom the role supports, not the role itself
+    const SUPPORTED_ROLE_PATTERN = /\b(?:to|for|supporting|office of)\s+(?:the\s+|our\s+)?(?:chief|ceo|cmo|cfo|coo|cto|cro|vp|svp|evp|avp|vice president|director|head|president|executive|founder)\b[^,(|/]*/gi;
+
+    // "5+ years of experience", "3-5 years' relevant experience", "two years of agency experience"
+    const EXPERIENCE_PATTERN = /\b(\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten)\s*(?:\+|plus)?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*years?['’]?\s+(?:of\s+)?(?:[\w-]+\s+){0,3}?experience\b/gi;
+    const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+    // Fewest years of experience for each level, used when the title doesn't say
+    const EXPERIENCE_LEVELS = [[10, 'lead'], [5, 'senior'], [3, 'mid'], [0, 'entry']];
 
-        return false;
+    /**
+     * Find the most years of experience a posting asks for
+     * @param {Object} job - Job object
+     * @returns {Object|null} { years, source: 'qualifications' or 'description' }; figures over 20
+     *                        ("our 30 years of experience") are ignored
+     */
+    function getRequiredExperience(job) {
+        const sources = [
+            ['qualifications', (job.job_highlights?.Qualifications || []).join('\n')],
+            ['description', job.job_description || '']
+        ];
+        let found = null;
+        for (const [source, text] of sources) {
+            for (const match of String(text).matchAll(EXPERIENCE_PATTERN)) {
+                const word = match[1].toLowerCase();
+                const years = NUMBER_WORDS[word] || parseInt(word, 10);
+                if (years <= 20 && (!found || years > found.years)) found = { years, source };
+            }
+        }
+        return found;
     }
 
     /**
-     * Get the NE state code for a job (if applicable)
+     * Infer a job's seniority from its title, employment type and the years of
+     * experience it asks for (the title wins when they disagree)
      * @param {Object} job - Job object
-     * @returns {string|null} Two-letter state code or null
+     * @returns {Object} { level: key of CONFIG.SENIORITY_LEVELS or null if nothing says, reasons: Array<string> }
      */
-    function getJobNEState(job) {
-        const state = (job.job_state || '').trim().toUpperCase();
-        if (NE_STATE_CODES.has(state)) return state;
-
-        const stateLower = (job.job_state || '').trim().toLowerCase();
-        if (NE_STATE_NAMES[stateLower]) return NE_STATE_NAMES[stateLower];
-
-        // Check city
-        const city = (job.job_city || '').toLowerCase().trim();
-        for (const [stateCode, stateInfo] of Object.entries(CONFIG.NE_STATES)) {
-            if (stateInfo.cities.some(c => c.toLowerCase() === city)) {
-                return stateCode;
+    function inferSeniority(job) {
+        const reasons = [];
+        let level = null;
+
+        // "Executive Assistant to the CEO" is an assistant, not an executive
+        const title = String(job.job_title || '').replace(SUPPORTED_ROLE_PATTERN, ' ').trim();
+        for (const [key, pattern] of SENIORITY_TITLE_PATTERNS) {
+            const match = title.match(pattern);
+            if (match) {
+                level = key;
+                reasons.push(`Title says "${match[0]}"`);
+                break;
             }
         }
 
-        return null;
+        if (!level && String(job.job_employment_type || '').toUpperCase().includes('INTERN')) {
+            level = 'intern';
+            reasons.push('Listed as an internship');
+        }
+
+        const experience = getRequiredExperience(job);
+        if (experience) {
+            const fromYears = EXPERIENCE_LEVELS.find(([min]) => experience.years >= min)[1];
+            reasons.push(`Asks for ${experience.years}+ year${experience.years !== 1 ? 's' : ''} of experience in the ${experience.source}`);
+            if (!level) level = fromYears;
+        }
+
+        return { level, reasons };
     }
 
     /**
-     * Score job relevance based on keywords, themes, and sports/marketing fit (0-10)
-     * Automatically boosts jobs matching sports, winter sports, and marketing themes.
+     * Check a job against the seniority filter. Jobs whose level can't be inferred always pass.
      * @param {Object} job - Job object
-     * @param {string} keywords - Search keywords
-     * @param {Array<string>} themes - Optional theme keywords
-     * @returns {number} Relevance score 0-10
+     * @param {Set<string>|Array<string>} levels - Selected levels
+     * @returns {boolean} Whether the job passes
      */
-    function scoreJobRelevance(job, keywords, themes = []) {
-        if (!keywords && themes.length === 0) return 5;
+    function matchesSeniority(job, levels) {
+        const { level } = job._seniority || inferSeniority(job);
+        const selected = levels instanceof Set ? levels : new Set(levels);
+        return !level || selected.has(level);
+    }
 
-        let score = 0;
-        const maxScore = 10;
+    // ==========================================
+    // Skills (dictionary and extraction in Skills)
+    // ==========================================
 
-        const searchTerms = keywords
-            .toLowerCase()
-            .split(/[\s,]+/)
-            .filter(t => t.length > 1);
+    /**
+     * Check a job against skill facet toggles
+     * @param {Object} job - Job object
+     * @param {Object} skills - { include: skills the job must all mention, exclude: skills it must not mention }
+     * @returns {boolean} Whether the job passes
+     */
+    function matchesSkills(job, skills) {
+        const { include = [], exclude = [] } = skills;
+        if (include.length === 0 && exclude.length === 0) return true;
+        const mentioned = new Set(job._skills || Skills.extract(job));
+        return include.every(name => mentioned.has(name)) && !exclude.some(name => mentioned.has(name));
+    }
 
-        const themeTerms = themes
-            .map(t => t.toLowerCase().trim())
-            .filter(t => t.length > 1);
+    // ==========================================
+    // Keyword matching engine
+    // ==========================================
 
-        const title = (job.job_title || '').toLowerCase();
-        const description = (job.job_description || '').toLowerCase();
-        const company = (job.employer_name || '').toLowerCase();
-        const allText = title + ' ' + description + ' ' + company;
+    // Words, with trailing +/# kept (c++, c#); dotted acronyms (P.R., U.S.) are one token
+    const TOKEN_PATTERN = /(?:[A-Za-z]\.){2,}|[A-Za-z0-9]+[+#]*/g;
 
-        const qualifications = (job.job_highlights?.Qualifications || []).join(' ').toLowerCase();
-        const responsibilities = (job.job_highlights?.Responsibilities || []).join(' ').toLowerCase();
+    // Inflectional suffixes stripped by stem(), longest first
+    // [suffix, replacement]; "es" only after s/x/z/ch/sh (boxes, matches), otherwise
+    // just the "s" goes (games -> game). At least 3 letters must remain, and for
+    // -ing/-ed they must include a vowel (skiing -> ski, but string stays string).
+    const STEM_SUFFIXES = [['ies', 'y'], ['ing', ''], ['ed', ''], ['es', ''], ['s', '']];
+    // Words whose final "s" is not a plural
+    const STEM_EXCEPTIONS = new Set(['news', 'series', 'species']);
 
-        // Title matches (up to 3 points)
-        let titleMatches = 0;
-        for (const term of searchTerms) {
-            if (title.includes(term)) titleMatches++;
+    /**
+     * Reduce a lowercase word to a crude English stem, so market, markets,
+     * marketing and marketer all compare equal. Words of 3 letters or fewer
+     * (most acronyms: PR, SEO, ski) are left alone.
+     * @param {string} word - Lowercase word
+     * @returns {string} Stem
+     */
+    function stem(word) {
+        if (word.length <= 3 || /\d/.test(word) || STEM_EXCEPTIONS.has(word)) return word;
+
+        let w = word;
+        for (const [suffix, replacement] of STEM_SUFFIXES) {
+            if (suffix === 'es' && !/(s|x|z|ch|sh)es$/.test(w)) continue;
+            // Keep analysis, campus, business; short "-is" words are plurals (skis -> ski)
+            if (suffix === 's' && (/(ss|us)$/.test(w) || (/is$/.test(w) && w.length > 4))) continue;
+            const rest = w.slice(0, -suffix.length);
+            if (!w.endsWith(suffix) || rest.length < 3) continue;
+            if ((suffix === 'ing' || suffix === 'ed') && !/[aeiouy]/.test(rest)) continue;
+            w = rest + replacement;
+            break;
         }
-        score += Math.min(3, titleMatches * 1.5);
-
-        // Description/highlights matches (up to 2 points)
-        let contentMatches = 0;
-        for (const term of searchTerms) {
-            if (description.includes(term)) contentMatches++;
-            if (qualifications.includes(term)) contentMatches += 0.5;
-            if (responsibilities.includes(term)) contentMatches += 0.5;
+        // Agent nouns: marketer -> market, engineer(ing) -> engine
+        if (w.endsWith('er') && w.length >= 6) w = w.slice(0, -2);
+        // Undouble: planning -> plann -> plan (but keep sell, miss, buzz)
+        if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+        // Silent e: manage/manager/managing -> manag
+        if (w.endsWith('e') && w.length >= 5) w = w.slice(0, -1);
+        return w;
+    }
+
+    /**
+     * Split text into matchable tokens with their positions in the text.
+     * Case-insensitive; acronym variants (PR, P.R., PRs) become the same token.
+     * @param {string} text - Text
+     * @returns {Array<Object>} Tokens { word: lowercase word, stem, start, end }
+     */
+    function analyzeText(text) {
+        const tokens = [];
+        for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+            let word = match[0];
+            if (word.includes('.')) word = word.replace(/\./g, '');
+            else if (/^[A-Z]{2,}s$/.test(word)) word = word.slice(0, -1);
+            tokens.push({
+                word: word.toLowerCase(),
+                stem: stem(word.toLowerCase()),
+                start: match.index,
+                end: match.index + match[0].length
+            });
         }
-        score += Math.min(2, contentMatches);
+        return tokens;
+    }
 
-        // User-provided theme matches (up to 1 point)
-        let themeMatches = 0;
-        for (const theme of themeTerms) {
-            if (title.includes(theme)) themeMatches += 1;
-            if (description.includes(theme)) themeMatches += 0.5;
+    /**
+     * Compile a keyword or phrase into a match term
+     * @param {string} text - Keyword or phrase (all its words must appear in order)
+     * @param {boolean} exact - Match the words as written, without word forms (for
+     *                          product names: "Looker" must not match "look")
+     * @returns {Object|null} Term { text, stems, words (exact terms only) }, or null if it has no words
+     */
+    function compileTerm(text, exact = false) {
+        const clean = String(text || '').trim();
+        const tokens = analyzeText(clean);
+        if (tokens.length === 0) return null;
+        const term = { text: clean.toLowerCase(), stems: tokens.map(t => t.stem) };
+        if (exact) term.words = tokens.map(t => t.word);
+        return term;
+    }
+
+    /**
+     * Parse a search box query into terms: "quoted phrases" stay together,
+     * other words (split on spaces and commas) are separate terms
+     * @param {string} query - Search keywords
+     * @returns {Array<Object>} Terms from compileTerm
+     */
+    function parseQuery(query) {
+        const parts = [];
+        const text = String(query || '').replace(/"([^"]*)"/g, (_, phrase) => {
+            parts.push(phrase);
+            return ' ';
+        });
+        parts.push(...text.split(/[\s,]+/).filter(word => word.length > 1 && /\w/.test(word)));
+
+        const seen = new Set();
+        return parts.map(compileTerm).filter(term => {
+            if (!term || seen.has(term.stems.join(' '))) return false;
+            seen.add(term.stems.join(' '));
+            return true;
+        });
+    }
+
+    /**
+     * Compile a list of keywords or phrases (alert keywords, profile terms)
+     * @param {Array<string>} list - Keywords or phrases
+     * @returns {Array<Object>} Terms from compileTerm
+     */
+    function compileTerms(list) {
+        return (list || []).map(compileTerm).filter(Boolean);
+    }
+
+    /**
+     * Find where a term occurs in analyzed text
+     * @param {Array<Object>} tokens - Tokens from analyzeText
+     * @param {Object} term - Term from compileTerm
+     * @returns {Array<Array<number>>} [start, end) character ranges, in order
+     */
+    function findTerm(tokens, term) {
+        const ranges = [];
+        const key = term.words ? 'word' : 'stem';
+        const parts = term.words || term.stems;
+        const n = parts.length;
+        for (let i = 0; i + n <= tokens.length; i++) {
+            let matched = true;
+            for (let j = 0; j < n; j++) {
+                if (tokens[i + j][key] !== parts[j]) {
+                    matched = false;
+                    break;
+                }
+            }
+            if (matched) ranges.push([tokens[i].start, tokens[i + n - 1].end]);
+        }
+        return ranges;
+    }
+
+    /**
+     * Whether analyzed text contains a term (whole words, phrase words in order)
+     * @param {Array<Object>} tokens - Tokens from analyzeText
+     * @param {Object} term - Term from compileTerm
+     * @returns {boolean} Match
+     */
+    function hasTerm(tokens, term) {
+        return findTerm(tokens, term).length > 0;
+    }
+
+    /**
+     * Whether text contains a keyword or phrase
+     * @param {string} text - Text to search
+     * @param {string|Object} term - Keyword/phrase, or a term from compileTerm
+     * @returns {boolean} Match
+     */
+    function matchesText(text, term) {
+        const compiled = typeof term === 'string' ? compileTerm(term) : term;
+        return !!compiled && hasTerm(analyzeText(text), compiled);
+    }
+
+    /**
+     * Escape text for HTML and wrap term matches in <mark>
+     * @param {string} text - Plain text
+     * @param {Array<Object>} terms - Terms from compileTerm/parseQuery; a term's optional
+     *                                className replaces the default "term-match" class
+     * @returns {string} HTML string
+     */
+    function highlightTerms(text, terms) {
+        const source = String(text || '');
+        if (!source || !terms || terms.length === 0) return Utils.sanitize(source);
+
+        const tokens = analyzeText(source);
+        const ranges = terms
+            .flatMap(term => findTerm(tokens, term).map(([start, end]) => [start, end, term.className || 'term-match']))
+            .sort((a, b) => a[0] - b[0]);
+
+        let html = '';
+        let pos = 0;
+        for (const [start, end, className] of ranges) {
+            if (start < pos) continue; // overlaps an earlier match
+            html += Utils.sanitize(source.slice(pos, start));
+            html += `<mark class="${className}">${Utils.sanitize(source.slice(start, end))}</mark>`;
+            pos = end;
+        }
+        return html + Utils.sanitize(source.slice(pos));
+    }
+
+    // Field qualifiers allowed in the search box (title:senior) and the job text they match
+    const QUERY_FIELDS = {
+        title: job => job.job_title,
+        company: job => job.employer_name,
+        description: job => [job.job_description, ...Object.values(job.job_highlights || {}).flat()].join('\n'),
+        location: job => [Utils.getJobLocation(job), job.job_city, job.job_state, job.job_country].join(' ')
+    };
+
+    /**
+     * Split search box syntax into raw pieces: OR, and terms with optional
+     * "-" (exclude), field: qualifier and "quoted phrase"
+     * @param {string} input - Search box text
+     * @param {Array<string>} errors - Syntax errors are appended here
+     * @returns {Array<Object>} Pieces { type: 'or' } or { type: 'term', negated, field, text, phrase }
+     */
+    function lexSearchQuery(input, errors) {
+        const pieces = [];
+        const text = String(input || '');
+        let i = 0;
+
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+
+            let negated = false;
+            let field = null;
+            if (text[i] === '-') {
+                negated = true;
+                i++;
+            }
+            const qualifier = /^([A-Za-z]+):/.exec(text.slice(i));
+            if (qualifier) {
+                field = qualifier[1].toLowerCase();
+                i += qualifier[0].length;
+            }
+
+            let value;
+            let phrase = false;
+            if (text[i] === '"') {
+                const end = text.indexOf('"', i + 1);
+                if (end === -1) {
+                    errors.push('Missing closing quote (").');
+                    value = text.slice(i + 1);
+                    i = text.length;
+                } else {
+                    value = text.slice(i + 1, end);
+                    i = end + 1;
+                }
+                phrase = true;
+            } else {
+                const start = i;
+                while (i < text.length && !/\s/.test(text[i]) && text[i] !== '"') i++;
+                value = text.slice(start, i);
+            }
+            value = value.trim();
+
+            if (value === 'OR' && !negated && !field && !phrase) {
+                pieces.push({ type: 'or' });
+                continue;
+            }
+            if (field && !QUERY_FIELDS[field]) {
+                errors.push(`Unknown field "${field}:". Use ${Object.keys(QUERY_FIELDS).map(f => `${f}:`).join(', ')}.`);
+                continue;
+            }
+            if (!value) {
+                if (field) errors.push(`"${field}:" needs a word or "phrase" after it.`);
+                else if (phrase) errors.push('Empty quotes ("").');
+                else errors.push('"-" needs a word or "phrase" after it to exclude.');
+                continue;
+            }
+            pieces.push({ type: 'term', negated, field, text: value, phrase });
         }
-        score += Math.min(1, themeMatches);
+        return pieces;
+    }
 
-        // Built-in sports/winter sports bonus (up to 2 points)
-        let sportsScore = 0;
-        for (const theme of (CONFIG.SPORTS_THEMES || [])) {
-            if (title.includes(theme)) { sportsScore += 1.5; break; }
+    /**
+     * Parse search box syntax: "quoted phrases", a OR b, -exclusions and
+     * title:/company:/description:/location: qualifiers. Terms are ANDed.
+     * Plain terms only rank results; exclusions, OR groups and qualified terms
+     * are enforced by applyFilters.
+     * @param {string} input - Search box text
+     * @returns {Object} { clauses, errors, apiQuery, scoreText } where each clause is
+     *   { negated, alternatives: [{ field, text, phrase, term }] } and apiQuery is the
+     *   positive query to send upstream
+     */
+    function parseSearchQuery(input) {
+        const errors = [];
+        const clauses = [];
+        let pendingOr = false;
+
+        for (const piece of lexSearchQuery(input, errors)) {
+            if (piece.type === 'or') {
+                if (clauses.length === 0 || pendingOr) errors.push('OR needs a term on both sides.');
+                else pendingOr = true;
+                continue;
+            }
+
+            const term = compileTerm(piece.text);
+            if (!term) {
+                errors.push(`"${piece.text}" has no words to match.`);
+                pendingOr = false;
+                continue;
+            }
+            const alternative = { field: piece.field, text: piece.text, phrase: piece.phrase, term };
+
+            if (pendingOr) {
+                const previous = clauses[clauses.length - 1];
+                if (piece.negated || previous.negated) {
+                    errors.push('An excluded (-) term can\'t be part of an OR group.');
+                } else {
+                    previous.alternatives.push(alternative);
+                }
+                pendingOr = false;
+                continue;
+            }
+            clauses.push({ negated: piece.negated, alternatives: [alternative] });
         }
-        for (const theme of (CONFIG.SPORTS_THEMES || [])) {
-            if (allText.includes(theme)) { sportsScore += 0.5; break; }
+        if (pendingOr) errors.push('OR needs a term on both sides.');
+
+        const quote = alt => (alt.phrase || /\s/.test(alt.text) ? `"${alt.text}"` : alt.text);
+        const positive = clauses.filter(c => !c.negated);
+
+        // Upstream gets the positive terms only; location is left to the search plan
+        const apiQuery = positive
+            .map(c => c.alternatives.filter(alt => alt.field !== 'location'))
+            .filter(alts => alts.length > 0)
+            .map(alts => alts.map(quote).join(' OR '))
+            .join(' ');
+        const scoreText = positive
+            .flatMap(c => c.alternatives)
+            .filter(alt => alt.field !== 'location')
+            .map(quote)
+            .join(' ');
+
+        return { clauses, errors, apiQuery, scoreText };
+    }
+
+    /**
+     * Whether a job satisfies a parsed query's exclusions, OR groups and field qualifiers
+     * @param {Object} job - Job object
+     * @param {Object} query - Result of parseSearchQuery
+     * @returns {boolean} Whether the job passes
+     */
+    function matchesSearchQuery(job, query) {
+        const analyzed = {};
+        const inField = (alt) => {
+            const fields = alt.field ? [alt.field] : ['title', 'description', 'company'];
+            return fields.some(field => {
+                if (!analyzed[field]) analyzed[field] = analyzeText(QUERY_FIELDS[field](job));
+                return hasTerm(analyzed[field], alt.term);
+            });
+        };
+
+        return query.clauses.every(clause => {
+            if (clause.negated) return !inField(clause.alternatives[0]);
+            // A single unqualified term only affects ranking
+            if (clause.alternatives.length === 1 && !clause.alternatives[0].field) return true;
+            return clause.alternatives.some(inField);
+        });
+    }
+
+    /**
+     * Check a job against the blocklist
+     * @param {Object} job - Job object
+     * @param {Object} blocklist - { employers, terms, publishers } (defaults to the saved one)
+     * @returns {string|null} Why the job is blocked, or null if it isn't
+     */
+    function getBlockReason(job, blocklist = Blocklist.get()) {
+        const find = (text, entries) => {
+            if (entries.length === 0 || !text) return null;
+            const tokens = analyzeText(text);
+            return entries.find(entry => {
+                const term = compileTerm(entry);
+                return term && hasTerm(tokens, term);
+            }) || null;
+        };
+
+        const employer = find(job.employer_name, blocklist.employers);
+        if (employer) return `Employer: ${employer}`;
+
+        const publisher = find(job.job_publisher, blocklist.publishers);
+        if (publisher) return `Publisher: ${publisher}`;
+
+        const text = [job.job_title, job.job_description, ...Object.values(job.job_highlights || {}).flat()].join('\n');
+        const term = find(text, blocklist.terms);
+        if (term) return `Term: ${term}`;
+
+        return null;
+    }
+
+    /**
+     * Score job relevance and explain where the points came from
+     * Each field's keyword matches earn up to that field's profile weight; boost
+     * terms add up to the boost weight and penalty terms subtract.
+     * @param {Object} job - Job object
+     * @param {string} keywords - Search keywords
+     * @param {Array<string>} themes - Optional theme keywords
+     * @param {Object} profile - Scoring profile (defaults to the active one)
+     * @returns {Object} { score (0-10), points, maxPoints, profileName, components: [{ key, label, points, max, terms }], queryTerms }
+     */
+    function explainJobRelevance(job, keywords, themes = [], profile = ScoringProfiles.getActive()) {
+        const { weights, boostTerms, boostWeight, penaltyTerms, penaltyWeight } = profile;
+        const maxPoints = Object.values(weights).reduce((sum, w) => sum + w, 0) + boostWeight + 1;
+        const explanation = { score: 5, points: 0, maxPoints, profileName: profile.name, components: [], queryTerms: [] };
+        if (!keywords && themes.length === 0 && boostTerms.length === 0 && penaltyTerms.length === 0) {
+            return explanation;
         }
-        score += Math.min(2, sportsScore);
 
-        // Built-in marketing role bonus (up to 1 point)
-        for (const kw of (CONFIG.MARKETING_KEYWORDS || [])) {
-            if (title.includes(kw)) { score += 1; break; }
+        const searchTerms = parseQuery(keywords);
+        const themeTerms = compileTerms(themes);
+        explanation.queryTerms = [...searchTerms, ...themeTerms];
+
+        const fields = {
+            title: analyzeText(job.job_title),
+            description: analyzeText(job.job_description),
+            highlights: analyzeText(Object.values(job.job_highlights || {}).flat().join('\n')),
+            company: analyzeText(job.employer_name)
+        };
+        const title = fields.title;
+        const inBody = term => ['description', 'highlights', 'company'].some(f => hasTerm(fields[f], term));
+        const components = explanation.components;
+
+        // Keyword matches per field (each match earns half the field weight, capped at the weight)
+        for (const [field, tokens] of Object.entries(fields)) {
+            const weight = weights[field] || 0;
+            const terms = searchTerms.filter(term => hasTerm(tokens, term)).map(term => term.text);
+            components.push({
+                key: field,
+                label: `${SCORE_FIELD_LABELS[field]} matches`,
+                points: Math.min(weight, terms.length * weight / 2),
+                max: weight,
+                terms
+            });
         }
 
-        // Company name match bonus (1 point)
-        for (const term of searchTerms) {
-            if (company.includes(term)) {
-                score += 1;
-                break;
+        // User-provided theme matches (up to 1 point)
+        let themeMatches = 0;
+        const themeHits = [];
+        for (const theme of themeTerms) {
+            const inTitle = hasTerm(title, theme);
+            const inDescription = hasTerm(fields.description, theme);
+            if (inTitle) themeMatches += 1;
+            if (inDescription) themeMatches += 0.5;
+            if (inTitle || inDescription) themeHits.push(theme.text);
+        }
+        components.push({ key: 'themes', label: 'Themes', points: Math.min(1, themeMatches), max: 1, terms: themeHits });
+
+        // Profile boost terms (title hits count double, up to the boost weight)
+        let boostHits = 0;
+        const boostMatched = [];
+        for (const term of compileTerms(boostTerms)) {
+            if (hasTerm(title, term)) {
+                boostHits += 1;
+                boostMatched.push(`${term.text} (title)`);
+            } else if (inBody(term)) {
+                boostHits += 0.5;
+                boostMatched.push(term.text);
+            }
+        }
+        components.push({
+            key: 'boost',
+            label: 'Profile boost terms',
+            points: Math.min(boostWeight, boostHits * boostWeight / 2),
+            max: boostWeight,
+            terms: boostMatched
+        });
+
+        // Profile penalty terms (full weight in the title, half elsewhere)
+        let penalty = 0;
+        const penaltyMatched = [];
+        for (const term of compileTerms(penaltyTerms)) {
+            if (hasTerm(title, term)) {
+                penalty += penaltyWeight;
+                penaltyMatched.push(`${term.text} (title)`);
+            } else if (inBody(term)) {
+                penalty += penaltyWeight / 2;
+                penaltyMatched.push(term.text);
             }
         }
+        components.push({ key: 'penalty', label: 'Profile penalty terms', points: -penalty, max: 0, terms: penaltyMatched });
+
+        // Scale so a perfect match scores 10 whatever the profile weights add up to
+        explanation.points = components.reduce((sum, c) => sum + c.points, 0);
+        explanation.score = maxPoints > 0
+            ? Math.max(0, Math.min(10, Math.round(explanation.points * 10 / maxPoints)))
+            : 0;
+        return explanation;
+    }
 
-        return Math.min(maxScore, Math.round(score));
+    /**
+     * Score job relevance against keywords, themes and a scoring profile (0-10)
+     * @param {Object} job - Job object
+     * @param {string} keywords - Search keywords
+     * @param {Array<string>} themes - Optional theme keywords
+     * @param {Object} profile - Scoring profile (defaults to the active one)
+     * @returns {number} Relevance score 0-10
+     */
+    function scoreJobRelevance(job, keywords, themes = [], profile = ScoringProfiles.getActive()) {
+        return explainJobRelevance(job, keywords, themes, profile).score;
     }
 
     /**
      * Apply all filters to a list of jobs
      * @param {Array} jobs - Array of job objects
-     * @param {Object} filterOptions - Filter criteria
+     * @param {Object} filterOptions - Filter criteria; showBlocked keeps blocklisted
+     *                                 jobs (marked with _blockedReason) instead of dropping them;
+     *                                 maxDistance (miles) needs a home place from Gazetteer.parsePlace;
+     *                                 seniority lists the levels to keep; skills holds the skill
+     *                                 facet toggles ({ include, exclude }); every job is tagged with `_skills`
      * @returns {Array} Filtered and annotated jobs
      */
     function applyFilters(jobs, filterOptions = {}) {
         const {
             categories = Object.keys(CONFIG.JOB_CATEGORIES),
-            states = Object.keys(CONFIG.NE_STATES),
+            states = Regions.getStateCodes(),
             minSalary = 0,
             keywords = '',
             themes = [],
-            sortBy = 'relevance'
+            sortBy = 'relevance',
+            profile = ScoringProfiles.getActive(),
+            blocklist = Blocklist.get(),
+            showBlocked = false,
+            home = null,
+            maxDistance = 0,
+            seniority = Object.keys(CONFIG.SENIORITY_LEVELS),
+            skills = { include: [], exclude: [] }
         } = filterOptions;
 
         const categoriesSet = new Set(categories);
         const statesSet = new Set(states);
+        const senioritySet = new Set(seniority);
+        const query = parseSearchQuery(keywords);
 
         // Filter and annotate
         let filtered = jobs
             .map(job => {
                 const qualification = isQualifyingJob(job);
-                const relevanceScore = scoreJobRelevance(job, keywords, themes);
+                const relevance = explainJobRelevance(job, query.scoreText, themes, profile);
 
                 return {
                     ...job,
                     _qualification: qualification,
-                    _relevanceScore: relevanceScore,
-                    _neState: getJobNEState(job)
+                    _relevanceScore: relevance.score,
+                    _relevanceBreakdown: relevance,
+                    _regionState: getJobRegionState(job),
+                    _salary: Utils.getSalary(job),
+                    _distance: getJobDistance(job, qualification.category, home),
+                    _seniority: inferSeniority(job),
+                    _skills: Skills.extract(job),
+                    _blockedReason: getBlockReason(job, blocklist)
                 };
             })
             .filter(job => {
@@ -272,14 +831,27 @@ const Filters = (() => {
                 if (!categoriesSet.has(job._qualification.category)) return false;
 
                 // State filter (only for location-based categories)
-                const locationCategories = ['hybrid-ne', 'onsite-ne', 'remote-ne-company'];
-                if (locationCategories.includes(job._qualification.category)) {
-                    if (job._neState && !statesSet.has(job._neState)) return false;
-                }
+                if (!matchesStates(job, job._qualification.category, statesSet)) return false;
+
+                // Distance from home (only once a home location is set)
+                if (home && !matchesDistance(job, job._qualification.category, maxDistance)) return false;
+
+                // Seniority (jobs that don't say pass)
+                if (!matchesSeniority(job, senioritySet)) return false;
+
+                // Skill facets
+                if (!matchesSkills(job, skills)) return false;
+
+                // Search syntax: exclusions, OR groups and field qualifiers
+                if (!matchesSearchQuery(job, query)) return false;
+
+                // Blocklist (last, so callers can count what it alone hides)
+                if (job._blockedReason && !showBlocked) return false;
 
-                // Salary filter
+                // Salary filter (annualized, so hourly and monthly pay compare fairly)
                 if (minSalary > 0) {
-                    const jobMaxSalary = job.job_max_salary || job.job_min_salary || 0;
+                    const annual = Utils.getAnnualSalary(job);
+                    const jobMaxSalary = annual.max || annual.min || 0;
                     if (jobMaxSalary > 0 && jobMaxSalary < minSalary) return false;
                 }
 
@@ -287,22 +859,95 @@ const Filters = (() => {
             });
 
         // Sort
-        filtered = sortJobs(filtered, sortBy);
+        filtered = sortJobs(filtered, sortBy, { keywords: query.scoreText, themes, profile });
 
         return filtered;
     }
 
+    /**
+     * Score jobs against the query with BM25F across the given result set: rare
+     * terms count more than common ones, repeats have diminishing returns, and
+     * long fields are normalized. Sets _bm25Score on each job.
+     * @param {Array} jobs - Jobs to rank (the whole result set, for term statistics)
+     * @param {string} keywords - Search keywords
+     * @param {Array<string>} themes - Optional theme keywords
+     * @param {Object} profile - Scoring profile (supplies the field weights)
+     * @returns {Array} The same jobs, annotated
+     */
+    function rankBM25(jobs, keywords, themes = [], profile = ScoringProfiles.getActive()) {
+        const { k1, b } = CONFIG.BM25;
+        // Phrases count as their separate words here
+        const queryTerms = [...new Set([...parseQuery(keywords), ...compileTerms(themes)].flatMap(term => term.stems))];
+        const fields = Object.keys(SCORE_FIELD_LABELS);
+
+        const docs = jobs.map(job => {
+            const texts = {
+                title: job.job_title,
+                description: job.job_description,
+                highlights: Object.values(job.job_highlights || {}).flat().join(' '),
+                company: job.employer_name
+            };
+            const doc = {};
+            for (const field of fields) {
+                const counts = new Map();
+                const tokens = analyzeText(texts[field]);
+                tokens.forEach(t => counts.set(t.stem, (counts.get(t.stem) || 0) + 1));
+                doc[field] = { counts, length: tokens.length };
+            }
+            return doc;
+        });
+
+        const avgLength = {};
+        for (const field of fields) {
+            const total = docs.reduce((sum, doc) => sum + doc[field].length, 0);
+            avgLength[field] = docs.length > 0 ? total / docs.length : 0;
+        }
+
+        // Inverse document frequency over the result set
+        const idf = {};
+        for (const term of queryTerms) {
+            const df = docs.filter(doc => fields.some(f => doc[f].counts.has(term))).length;
+            idf[term] = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        }
+
+        jobs.forEach((job, i) => {
+            let score = 0;
+            for (const term of queryTerms) {
+                // Weighted, length-normalized term frequency summed over fields
+                let tf = 0;
+                for (const field of fields) {
+                    const { counts, length } = docs[i][field];
+                    const count = counts.get(term) || 0;
+                    if (count === 0 || avgLength[field] === 0) continue;
+                    tf += (profile.weights[field] || 0) * count / (1 - b + b * length / avgLength[field]);
+                }
+                if (tf > 0) score += idf[term] * tf / (k1 + tf);
+            }
+            job._bm25Score = score;
+        });
+        return jobs;
+    }
+
     /**
      * Sort jobs by specified criteria
      * @param {Array} jobs - Jobs to sort
      * @param {string} sortBy - Sort criterion
+     * @param {Object} query - { keywords, themes, profile } for the 'best-match' ranking
      * @returns {Array} Sorted jobs
      */
-    function sortJobs(jobs, sortBy) {
+    function sortJobs(jobs, sortBy, query = {}) {
         switch (sortBy) {
             case 'relevance':
                 return jobs.sort((a, b) => b._relevanceScore - a._relevanceScore);
 
+            case 'best-match':
+                // Needs query terms; without them fall back to the 0-10 score
+                if (!query.keywords && !(query.themes || []).length) return sortJobs(jobs, 'relevance');
+                rankBM25(jobs, query.keywords, query.themes, query.profile);
+                return jobs.sort((a, b) =>
+                    (b._bm25Score - a._bm25Score) || (b._relevanceScore - a._relevanceScore)
+                );
+
             case 'date':
                 return jobs.sort((a, b) => {
                     const dateA = new Date(a.job_posted_at_datetime_utc || 0);
@@ -312,16 +957,16 @@ const Filters = (() => {
 
             case 'salary-high':
                 return jobs.sort((a, b) => {
-                    const salaryA = a.job_max_salary || a.job_min_salary || 0;
-                    const salaryB = b.job_max_salary || b.job_min_salary || 0;
-                    return salaryB - salaryA;
+                    const annualA = Utils.getAnnualSalary(a);
+                    const annualB = Utils.getAnnualSalary(b);
+                    return (annualB.max || annualB.min || 0) - (annualA.max || annualA.min || 0);
                 });
 
             case 'salary-low':
                 return jobs.sort((a, b) => {
-                    const salaryA = a.job_min_salary || a.job_max_salary || Infinity;
-                    const salaryB = b.job_min_salary || b.job_max_salary || Infinity;
-                    return salaryA - salaryB;
+                    const annualA = Utils.getAnnualSalary(a);
+                    const annualB = Utils.getAnnualSalary(b);
+                    return (annualA.min || annualA.max || Infinity) - (annualB.min || annualB.max || Infinity);
                 });
 
             default:
@@ -348,9 +993,27 @@ const Filters = (() => {
     return {
         isQualifyingJob,
         scoreJobRelevance,
+        explainJobRelevance,
+        rankBM25,
+        parseQuery,
+        parseSearchQuery,
+        matchesSearchQuery,
+        getBlockReason,
+        compileTerm,
+        compileTerms,
+        matchesText,
+        highlightTerms,
         applyFilters,
         sortJobs,
         getCategoryBreakdown,
-        getJobNEState
+        getJobRegionState,
+        getJobDistance,
+        matchesStates,
+        matchesDistance,
+        inferSeniority,
+        matchesSeniority,
+        matchesSkills,
+        analyzeText,
+        hasTerm
     };
 })();
@@ -0,0 +1,226 @@
+/**
+ * New England Jobs - Fixture Record/Replay
+ * Captures real API responses (kept in IndexedDB, see ResponseCache) and serves
+ * searches from them, so the app can be demoed and debugged without an API key
+ * or network. Recordings are exported and imported as a JSON bundle.
+ */
+
+const Fixtures = (() => {
+    // Where bundles were kept before they moved to IndexedDB
+    const LEGACY_STORAGE_KEY = 'ne_jobs_fixtures';
+    const BUNDLE_VERSION = 1;
+    const MODES = ['off', 'record', 'replay'];
+
+    /**
+     * Get the active fixture mode. A `?fixtures=record|replay` URL parameter
+     * overrides CONFIG.FIXTURE_MODE.
+     * @returns {string} 'off', 'record' or 'replay'
+     */
+    function getMode() {
+        const param = new URLSearchParams(window.location.search).get('fixtures');
+        if (MODES.includes(param)) return param;
+        return MODES.includes(CONFIG.FIXTURE_MODE) ? CONFIG.FIXTURE_MODE : 'off';
+    }
+
+    /**
+     * @returns {boolean} Whether searches are served from fixtures
+     */
+    function isReplaying() {
+        return getMode() === 'replay';
+    }
+
+    /**
+     * @returns {boolean} Whether real responses are being captured
+     */
+    function isRecording() {
+        return getMode() === 'record';
+    }
+
+    /**
+     * Create an empty fixture bundle
+     * @returns {Object} Empty bundle
+     */
+    function createBundle() {
+        return {
+            version: BUNDLE_VERSION,
+            recordedAt: new Date().toISOString(),
+            responses: {}
+        };
+    }
+
+    let migration = null;
+
+    /**
+     * Move a bundle recorded into localStorage by an older version over to
+     * IndexedDB, once per page load
+     * @returns {Promise<void>}
+     */
+    function migrateLegacyBundle() {
+        if (!migration) {
+            migration = (async () => {
+                const legacy = Utils.getStorage(LEGACY_STORAGE_KEY, null);
+                if (!legacy || typeof legacy.responses !== 'object') return;
+                const entries = Object.entries(legacy.responses).map(([key, entry]) => ({ ...entry, key }));
+                if (await ResponseCache.putFixtures(entries)) {
+                    localStorage.removeItem(LEGACY_STORAGE_KEY);
+                }
+            })();
+        }
+        return migration;
+    }
+
+    /**
+     * Get every recorded response
+     * @returns {Promise<Array<Object>>} Entries { key, endpoint, params, provider, recordedAt, data }
+     */
+    async function getEntries() {
+        await migrateLegacyBundle();
+        return ResponseCache.getAllFixtures();
+    }
+
+    /**
+     * Build a stable fixture key from an endpoint and its params
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters
+     * @returns {string} Fixture key
+     */
+    function buildKey(endpoint, params) {
+        const sorted = Object.keys(params).sort().map(k => [k, String(params[k])]);
+        return `${endpoint}?${new URLSearchParams(sorted).toString()}`;
+    }
+
+    /**
+     * Record a real API response
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Provider-independent query parameters
+     * @param {string} providerId - Provider that served the response
+     * @param {Object} data - Raw response body
+     * @returns {Promise<boolean>} Success (false if storage is full)
+     */
+    async function record(endpoint, params, providerId, data) {
+        await migrateLegacyBundle();
+        return ResponseCache.putFixtures([{
+            key: buildKey(endpoint, params),
+            endpoint,
+            params,
+            provider: providerId,
+            recordedAt: new Date().toISOString(),
+            data
+        }]);
+    }
+
+    /**
+     * Find a recorded response. Search lookups fall back to any response for the
+     * same endpoint, query text and page when the other params (date, filters...) differ.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object|null>} Recorded entry or null
+     */
+    async function lookup(endpoint, params) {
+        await migrateLegacyBundle();
+        const exact = await ResponseCache.getFixture(buildKey(endpoint, params));
+        if (exact || !params.query) return exact;
+
+        const query = String(params.query || '').toLowerCase();
+        const page = String(params.page || 1);
+        return (await ResponseCache.getAllFixtures()).find(entry =>
+            entry.endpoint === endpoint &&
+            String(entry.params.query || '').toLowerCase() === query &&
+            String(entry.params.page || 1) === page
+        ) || null;
+    }
+
+    /**
+     * Get the number of recorded responses
+     * @returns {Promise<number>} Count
+     */
+    async function getCount() {
+        await migrateLegacyBundle();
+        return ResponseCache.countFixtures();
+    }
+
+    /**
+     * Validate and store a fixture bundle, replacing what was recorded
+     * @param {Object} bundle - Parsed bundle
+     * @returns {Promise<number>} Number of responses loaded
+     */
+    async function loadBundle(bundle) {
+        if (!bundle || bundle.version !== BUNDLE_VERSION || typeof bundle.responses !== 'object') {
+            throw new Error('Not a valid fixture bundle.');
+        }
+        const entries = Object.entries(bundle.responses).map(([key, entry]) => ({ ...entry, key }));
+        await migrateLegacyBundle();
+        await ResponseCache.clearFixtures();
+        if (!await ResponseCache.putFixtures(entries)) {
+            throw new Error('Fixture bundle is too large for browser storage.');
+        }
+        return entries.length;
+    }
+
+    /**
+     * Import a fixture bundle from a user-selected file
+     * @param {File} file - JSON file
+     * @returns {Promise<number>} Number of responses loaded
+     */
+    async function importFile(file) {
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch {
+            throw new Error('Fixture file is not valid JSON.');
+        }
+        return loadBundle(bundle);
+    }
+
+    /**
+     * Load a fixture bundle from a same-origin URL (CONFIG.FIXTURE_URL)
+     * @param {string} url - Bundle URL
+     * @returns {Promise<number>} Number of responses loaded
+     */
+    async function importUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load fixtures from ${url} (${response.status}).`);
+        }
+        return loadBundle(await response.json());
+    }
+
+    /**
+     * Download the recorded responses as a JSON bundle
+     */
+    async function exportBundle() {
+        const entries = await getEntries();
+        if (entries.length === 0) {
+            Utils.showToast('No recorded responses to export.', 'warning');
+            return;
+        }
+        const bundle = createBundle();
+        for (const { key, ...entry } of entries) {
+            bundle.responses[key] = entry;
+        }
+        const json = JSON.stringify(bundle, null, 2);
+        Utils.downloadFile(json, 'job-fixtures.json', 'application/json');
+        Utils.showToast('Fixtures exported.', 'success');
+    }
+
+    /**
+     * Remove all recorded responses
+     */
+    async function clear() {
+        await migrateLegacyBundle();
+        await ResponseCache.clearFixtures();
+    }
+
+    return {
+        getMode,
+        isReplaying,
+        isRecording,
+        record,
+        lookup,
+        getCount,
+        importFile,
+        importUrl,
+        exportBundle,
+        clear
+    };
+})();
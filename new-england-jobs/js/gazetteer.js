@@ -0,0 +1,158 @@
+/**
+ * New England Jobs - Gazetteer
+ * Offline lookup of the active region's cities and towns (from its region pack),
+ * used to place jobs in a state and to measure distances from the user's home location
+ */
+
+const Gazetteer = (() => {
+    const EARTH_RADIUS_MILES = 3958.8;
+
+    // Place index for the region it was built for: { regionId, byName: name -> places }
+    let index = { regionId: null, byName: new Map() };
+
+    /**
+     * Get the active region's places by name, rebuilding the index when the region changes
+     * @returns {Map<string, Array<Object>>} name -> places with that name, state by state
+     */
+    function getPlacesByName() {
+        const region = Regions.getActive();
+        if (index.regionId === region.id) return index.byName;
+
+        const byName = new Map();
+        for (const [state, info] of Object.entries(region.states)) {
+            for (const [name, lat, lon] of info.cities) {
+                const key = normalizeName(name);
+                if (!byName.has(key)) byName.set(key, []);
+                byName.get(key).push({
+                    name,
+                    state,
+                    lat: Number.isFinite(lat) ? lat : null,
+                    lon: Number.isFinite(lon) ? lon : null
+                });
+            }
+        }
+        index = { regionId: region.id, byName };
+        return byName;
+    }
+
+    /**
+     * Normalize a place name for lookup
+     * @param {string} name - Place name
+     * @returns {string} Lowercase name without periods or extra spaces
+     */
+    function normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Find a city or town in the active region
+     * @param {string} city - City or town name
+     * @param {string} state - Optional state code or name; a state outside the region finds nothing
+     * @returns {Object|null} { name, state, lat, lon } (the first listed if the name is in several
+     *                        states); lat and lon are null for cities listed without coordinates
+     */
+    function findPlace(city, state = '') {
+        const matches = getPlacesByName().get(normalizeName(city));
+        if (!matches) return null;
+        if (!String(state || '').trim()) return matches[0];
+
+        const code = Regions.getStateCode(state);
+        return matches.find(place => place.state === code) || null;
+    }
+
+    /**
+     * Parse a typed location such as "Portsmouth, NH", "Stowe Vermont" or "Keene"
+     * @param {string} text - Location text
+     * @returns {Object|null} { name, state, lat, lon }
+     */
+    function parsePlace(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+
+        const comma = value.lastIndexOf(',');
+        if (comma >= 0) return findPlace(value.slice(0, comma), value.slice(comma + 1));
+
+        // No comma: try a trailing state code or name, then the whole text as a town
+        for (const [code, info] of Object.entries(Regions.getStates())) {
+            for (const suffix of [code, info.name]) {
+                const pattern = new RegExp(`\\s+${suffix}$`, 'i');
+                if (pattern.test(value)) {
+                    const place = findPlace(value.replace(pattern, ''), code);
+                    if (place) return place;
+                }
+            }
+        }
+        return findPlace(value);
+    }
+
+    /**
+     * Format a place as "Name, ST"
+     * @param {Object} place - Place from findPlace or parsePlace
+     * @returns {string} Label
+     */
+    function formatPlace(place) {
+        return place ? `${place.name}, ${place.state}` : '';
+    }
+
+    /**
+     * List every place label, for location pickers
+     * @returns {Array<string>} "Name, ST" labels sorted by name
+     */
+    function getPlaceLabels() {
+        const labels = [];
+        for (const places of getPlacesByName().values()) {
+            places.forEach(place => labels.push(formatPlace(place)));
+        }
+        return labels.sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Great-circle distance between two points
+     * @param {Object} a - { lat, lon }
+     * @param {Object} b - { lat, lon }
+     * @returns {number} Distance in miles
+     */
+    function distanceMiles(a, b) {
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * Find a job's town. Only US jobs (or jobs with no country) are looked up, so
+     * Manchester, GB is never taken for Manchester, NH.
+     * @param {Object} job - Job object
+     * @returns {Object|null} Place, as from findPlace
+     */
+    function findJobPlace(job) {
+        const country = String(job.job_country || '').toUpperCase().trim();
+        if (country && country !== 'US') return null;
+        return findPlace(job.job_city, job.job_state);
+    }
+
+    /**
+     * Get a job's coordinates: the provider's when given, otherwise its town's
+     * @param {Object} job - Job object
+     * @returns {Object|null} { lat, lon }
+     */
+    function getJobCoordinates(job) {
+        if (Number.isFinite(job.job_latitude) && Number.isFinite(job.job_longitude)) {
+            return { lat: job.job_latitude, lon: job.job_longitude };
+        }
+        const place = findJobPlace(job);
+        return place && place.lat !== null ? { lat: place.lat, lon: place.lon } : null;
+    }
+
+    return {
+        findPlace,
+        findJobPlace,
+        parsePlace,
+        formatPlace,
+        getPlaceLabels,
+        distanceMiles,
+        getJobCoordinates
+    };
+})();
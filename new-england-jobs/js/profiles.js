@@ -0,0 +1,347 @@
+/**
+ * New England Jobs - Scoring Profiles
+ * Named, user-editable relevance scoring settings (field weights, boost and
+ * penalty terms) used by Filters.scoreJobRelevance, shareable as JSON
+ */
+
+const ScoringProfiles = (() => {
+    const STORAGE_KEY = 'ne_jobs_scoring_profiles';
+    const PROFILE_VERSION = 1;
+    const FIELDS = ['title', 'description', 'highlights', 'company'];
+    const MAX_WEIGHT = 10;
+
+    // Seeded on first use; the sports/marketing profile reproduces the original scoring
+    const BUILT_IN_PROFILES = [
+        {
+            id: 'sports-marketing',
+            name: 'Sports Marketing',
+            weights: { title: 3, description: 1.5, highlights: 0.5, company: 1 },
+            boostTerms: [...CONFIG.SPORTS_THEMES, ...CONFIG.MARKETING_KEYWORDS],
+            boostWeight: 3,
+            penaltyTerms: [],
+            penaltyWeight: 2
+        },
+        {
+            id: 'keywords-only',
+            name: 'Keywords Only',
+            weights: { title: 3, description: 1.5, highlights: 0.5, company: 1 },
+            boostTerms: [],
+            boostWeight: 0,
+            penaltyTerms: [],
+            penaltyWeight: 2
+        }
+    ];
+
+    /**
+     * Get the stored profiles and active profile id, seeding the built-ins
+     * @returns {Object} { activeId, profiles }
+     */
+    function getState() {
+        const state = Utils.getStorage(STORAGE_KEY, null);
+        if (state && Array.isArray(state.profiles) && state.profiles.length > 0) return state;
+        return {
+            activeId: BUILT_IN_PROFILES[0].id,
+            profiles: BUILT_IN_PROFILES.map(p => normalizeProfile(p))
+        };
+    }
+
+    /**
+     * Persist profiles state
+     * @param {Object} state - { activeId, profiles }
+     * @returns {boolean} Success
+     */
+    function saveState(state) {
+        return Utils.setStorage(STORAGE_KEY, state);
+    }
+
+    /**
+     * Parse a weight, clamped to 0..MAX_WEIGHT
+     * @param {*} value - Raw value
+     * @param {number} fallback - Used when value is not a number
+     * @returns {number} Weight
+     */
+    function toWeight(value, fallback) {
+        const num = Number(value);
+        if (value === '' || value === null || value === undefined || !Number.isFinite(num)) return fallback;
+        return Math.min(MAX_WEIGHT, Math.max(0, num));
+    }
+
+    /**
+     * Parse a term list (array or comma-separated string), lowercased and deduplicated
+     * @param {Array<string>|string} terms - Raw terms
+     * @returns {Array<string>} Terms
+     */
+    function toTerms(terms) {
+        const list = Array.isArray(terms) ? terms : String(terms || '').split(',');
+        return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(t => t.length > 0))];
+    }
+
+    /**
+     * Validate a profile and fill in defaults
+     * @param {Object} raw - Profile data (from the editor or an imported file)
+     * @returns {Object} Profile
+     */
+    function normalizeProfile(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('Not a valid scoring profile.');
+        }
+        const name = String(raw.name || '').trim();
+        if (!name) {
+            throw new Error('Please give the profile a name.');
+        }
+
+        const defaults = BUILT_IN_PROFILES[1].weights;
+        const weights = {};
+        for (const field of FIELDS) {
+            weights[field] = toWeight(raw.weights?.[field], defaults[field]);
+        }
+
+        return {
+            id: raw.id || Utils.generateId(),
+            name,
+            weights,
+            boostTerms: toTerms(raw.boostTerms),
+            boostWeight: toWeight(raw.boostWeight, 0),
+            penaltyTerms: toTerms(raw.penaltyTerms),
+            penaltyWeight: toWeight(raw.penaltyWeight, 0)
+        };
+    }
+
+    /**
+     * Get all profiles
+     * @returns {Array<Object>} Profiles
+     */
+    function getProfiles() {
+        return getState().profiles;
+    }
+
+    /**
+     * Get a profile by id
+     * @param {string} id - Profile id
+     * @returns {Object|null} Profile
+     */
+    function getProfile(id) {
+        return getProfiles().find(p => p.id === id) || null;
+    }
+
+    /**
+     * Get the profile used for scoring
+     * @returns {Object} Active profile
+     */
+    function getActive() {
+        const state = getState();
+        return state.profiles.find(p => p.id === state.activeId) || state.profiles[0];
+    }
+
+    /**
+     * Switch the active profile
+     * @param {string} id - Profile id
+     * @returns {boolean} Success
+     */
+    function setActive(id) {
+        const state = getState();
+        if (!state.profiles.some(p => p.id === id)) return false;
+        state.activeId = id;
+        return saveState(state);
+    }
+
+    /**
+     * Create or update a profile
+     * @param {Object} data - Profile data; an existing id updates that profile
+     * @returns {Object} Saved profile
+     */
+    function saveProfile(data) {
+        const profile = normalizeProfile(data);
+        const state = getState();
+        const index = state.profiles.findIndex(p => p.id === profile.id);
+        if (index >= 0) {
+            state.profiles[index] = profile;
+        } else {
+            state.profiles.push(profile);
+        }
+        saveState(state);
+        return profile;
+    }
+
+    /**
+     * Delete a profile (the last one is kept)
+     * @param {string} id - Profile id
+     * @returns {boolean} Success
+     */
+    function deleteProfile(id) {
+        const state = getState();
+        if (state.profiles.length <= 1) return false;
+        state.profiles = state.profiles.filter(p => p.id !== id);
+        if (state.activeId === id) state.activeId = state.profiles[0].id;
+        return saveState(state);
+    }
+
+    /**
+     * Download a profile as JSON
+     * @param {string} id - Profile id
+     */
+    function exportProfile(id) {
+        const profile = getProfile(id);
+        if (!profile) return;
+        const { id: _omit, ...shared } = profile;
+        const json = JSON.stringify({ version: PROFILE_VERSION, profile: shared }, null, 2);
+        const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        Utils.downloadFile(json, `scoring-profile-${slug || 'custom'}.json`, 'application/json');
+        Utils.showToast('Profile exported.', 'success');
+    }
+
+    /**
+     * Import a shared profile file as a new profile
+     * @param {File} file - JSON file from exportProfile
+     * @returns {Promise<Object>} Imported profile
+     */
+    async function importFile(file) {
+        let parsed;
+        try {
+            parsed = JSON.parse(await file.text());
+        } catch {
+            throw new Error('Profile file is not valid JSON.');
+        }
+        if (!parsed || parsed.version !== PROFILE_VERSION || !parsed.profile) {
+            throw new Error('Not a valid scoring profile file.');
+        }
+
+        // Always a new profile, so imports never overwrite local edits
+        const names = new Set(getProfiles().map(p => p.name));
+        let name = String(parsed.profile.name || '').trim();
+        if (names.has(name)) name = `${name} (imported)`;
+        return saveProfile({ ...parsed.profile, id: null, name });
+    }
+
+    /**
+     * Fill the search page's profile picker
+     */
+    function renderProfileSelect() {
+        const select = document.getElementById('scoring-profile-select');
+        if (!select) return;
+
+        const active = getActive();
+        select.innerHTML = getProfiles().map(p => `
+            <option value="${Utils.sanitize(p.id)}"${p.id === active.id ? ' selected' : ''}>${Utils.sanitize(p.name)}</option>
+        `).join('');
+    }
+
+    /**
+     * Open the profile editor
+     * @param {string|null} profileId - Profile to edit, or null for a new one
+     */
+    function openEditModal(profileId = null) {
+        const modal = document.getElementById('profile-modal');
+        const form = document.getElementById('profile-form');
+        const title = document.getElementById('profile-modal-title');
+        if (!modal || !form) return;
+
+        // New profiles start from the active profile's settings
+        const profile = profileId ? getProfile(profileId) : null;
+        const source = profile || getActive();
+
+        if (title) title.textContent = profile ? 'Edit Scoring Profile' : 'New Scoring Profile';
+
+        document.getElementById('profile-name').value = profile ? profile.name : '';
+        for (const field of FIELDS) {
+            document.getElementById(`profile-weight-${field}`).value = source.weights[field];
+        }
+        document.getElementById('profile-boost-terms').value = source.boostTerms.join(', ');
+        document.getElementById('profile-boost-weight').value = source.boostWeight;
+        document.getElementById('profile-penalty-terms').value = source.penaltyTerms.join(', ');
+        document.getElementById('profile-penalty-weight').value = source.penaltyWeight;
+
+        const deleteBtn = document.getElementById('profile-delete-btn');
+        const exportBtn = document.getElementById('profile-export-btn');
+        if (deleteBtn) deleteBtn.hidden = !profile || getProfiles().length <= 1;
+        if (exportBtn) exportBtn.hidden = !profile;
+
+        form.dataset.editingId = profileId || '';
+        modal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        document.getElementById('profile-name').focus();
+    }
+
+    /**
+     * Close the profile editor
+     */
+    function closeModal() {
+        const modal = document.getElementById('profile-modal');
+        if (modal) {
+            modal.hidden = true;
+            document.body.style.overflow = '';
+        }
+    }
+
+    /**
+     * Save the profile editor form and make the profile active
+     * @param {Event} e - Submit event
+     * @returns {Object|null} Saved profile, or null if invalid
+     */
+    function handleFormSubmit(e) {
+        e.preventDefault();
+        const form = document.getElementById('profile-form');
+        if (!form) return null;
+
+        const weights = {};
+        for (const field of FIELDS) {
+            weights[field] = document.getElementById(`profile-weight-${field}`)?.value;
+        }
+
+        let profile;
+        try {
+            profile = saveProfile({
+                id: form.dataset.editingId || null,
+                name: document.getElementById('profile-name')?.value,
+                weights,
+                boostTerms: document.getElementById('profile-boost-terms')?.value,
+                boostWeight: document.getElementById('profile-boost-weight')?.value,
+                penaltyTerms: document.getElementById('profile-penalty-terms')?.value,
+                penaltyWeight: document.getElementById('profile-penalty-weight')?.value
+            });
+        } catch (error) {
+            Utils.showToast(error.message, 'warning');
+            return null;
+        }
+
+        setActive(profile.id);
+        closeModal();
+        renderProfileSelect();
+        Utils.showToast(`Scoring with "${profile.name}".`, 'success');
+        return profile;
+    }
+
+    /**
+     * Confirm and delete the profile open in the editor
+     * @returns {boolean} Whether it was deleted
+     */
+    function confirmDelete() {
+        const form = document.getElementById('profile-form');
+        const profile = form && getProfile(form.dataset.editingId);
+        if (!profile || !confirm(`Delete the "${profile.name}" scoring profile?`)) return false;
+
+        deleteProfile(profile.id);
+        closeModal();
+        renderProfileSelect();
+        Utils.showToast('Profile deleted.', 'info');
+        return true;
+    }
+
+    return {
+        FIELDS,
+        getProfiles,
+        getProfile,
+        getActive,
+        setActive,
+        saveProfile,
+        deleteProfile,
+        normalizeProfile,
+        exportProfile,
+        importFile,
+        renderProfileSelect,
+        openEditModal,
+        closeModal,
+        handleFormSubmit,
+        confirmDelete
+    };
+})();
@@ -0,0 +1,105 @@
+/**
+ * New England Jobs - Monthly API Quota Tracker
+ * Persistent per-month accounting of real API requests (cache hits excluded)
+ * and the monthly budget guard
+ */
+
+const Quota = (() => {
+    const USAGE_KEY = 'ne_jobs_api_usage';
+    const BUDGET_KEY = 'ne_jobs_monthly_budget';
+    const MONTHS_KEPT = 12;
+
+    /**
+     * Get the usage bucket key for a date
+     * @param {Date} date - Date (defaults to now)
+     * @returns {string} 'YYYY-MM'
+     */
+    function getMonthKey(date = new Date()) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get this month's usage
+     * @returns {Object} { requests, byProvider }
+     */
+    function getUsage() {
+        const usage = Utils.getStorage(USAGE_KEY, {});
+        return usage[getMonthKey()] || { requests: 0, byProvider: {} };
+    }
+
+    /**
+     * Count one real API request against this month's usage
+     * @param {string} providerId - Provider the request went to
+     */
+    function recordUsage(providerId) {
+        const usage = Utils.getStorage(USAGE_KEY, {});
+        const month = getMonthKey();
+        const current = usage[month] || { requests: 0, byProvider: {} };
+
+        current.requests++;
+        current.byProvider[providerId] = (current.byProvider[providerId] || 0) + 1;
+        usage[month] = current;
+
+        // Drop the oldest months
+        const months = Object.keys(usage).sort();
+        months.slice(0, Math.max(0, months.length - MONTHS_KEPT)).forEach(m => delete usage[m]);
+
+        Utils.setStorage(USAGE_KEY, usage);
+    }
+
+    /**
+     * Get the monthly request budget (user setting, else CONFIG.MONTHLY_BUDGET)
+     * @returns {number} Budget
+     */
+    function getBudget() {
+        return Utils.getStorage(BUDGET_KEY, null) || CONFIG.MONTHLY_BUDGET;
+    }
+
+    /**
+     * Set the monthly request budget
+     * @param {number} budget - Positive integer
+     * @returns {boolean} Success
+     */
+    function setBudget(budget) {
+        if (!Number.isInteger(budget) || budget <= 0) return false;
+        return Utils.setStorage(BUDGET_KEY, budget);
+    }
+
+    /**
+     * Get the number of requests left this month
+     * @returns {number} Remaining requests (0 when exhausted)
+     */
+    function getRemaining() {
+        return Math.max(0, getBudget() - getUsage().requests);
+    }
+
+    /**
+     * Whether the monthly budget is used up
+     * @returns {boolean} Exhausted
+     */
+    function isExhausted() {
+        return getRemaining() === 0;
+    }
+
+    /**
+     * Get the usage level against the budget
+     * @returns {string} 'ok', 'warning', 'critical' or 'exceeded'
+     */
+    function getLevel() {
+        const ratio = getUsage().requests / getBudget();
+        if (ratio >= 1) return 'exceeded';
+        if (ratio >= CONFIG.BUDGET_WARNING_THRESHOLDS.critical) return 'critical';
+        if (ratio >= CONFIG.BUDGET_WARNING_THRESHOLDS.warning) return 'warning';
+        return 'ok';
+    }
+
+    return {
+        getUsage,
+        recordUsage,
+        getBudget,
+        setBudget,
+        getRemaining,
+        isExhausted,
+        getLevel
+    };
+})();
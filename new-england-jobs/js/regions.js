@@ -0,0 +1,508 @@
+/**
+ * New England Jobs - Region Packs
+ * Geography as data: each region lists its states (with cities and their
+ * coordinates) and the metros searched by name. The active region drives the
+ * state filters, category labels, job placement and query planning.
+ */
+
+const Regions = (() => {
+    const STORAGE_KEY = 'ne_jobs_regions';
+    const REGION_VERSION = 1;
+
+    // Cities are [name, latitude, longitude]; coordinates may be omitted (just a name),
+    // in which case the city still places jobs in its state but has no distance
+    const BUILT_IN_REGIONS = [
+        {
+            id: 'new-england',
+            name: 'New England',
+            abbreviation: 'NE',
+            states: {
+                CT: {
+                    name: 'Connecticut',
+                    cities: [
+                        ['Hartford', 41.764, -72.685], ['New Haven', 41.308, -72.928], ['Stamford', 41.053, -73.539],
+                        ['Bridgeport', 41.187, -73.195], ['Waterbury', 41.558, -73.051], ['Norwalk', 41.118, -73.408],
+                        ['Danbury', 41.395, -73.454], ['New Britain', 41.661, -72.780], ['West Hartford', 41.762, -72.742],
+                        ['Greenwich', 41.026, -73.628], ['Fairfield', 41.141, -73.264], ['Hamden', 41.396, -72.897],
+                        ['Bristol', 41.672, -72.949], ['Meriden', 41.538, -72.807], ['Manchester', 41.776, -72.522],
+                        ['West Haven', 41.271, -72.947], ['Milford', 41.222, -73.057], ['Stratford', 41.184, -73.133],
+                        ['East Hartford', 41.782, -72.612], ['Middletown', 41.562, -72.651], ['Wallingford', 41.457, -72.823],
+                        ['Enfield', 41.976, -72.592], ['Southington', 41.596, -72.878], ['Shelton', 41.316, -73.093],
+                        ['Norwich', 41.524, -72.076], ['Torrington', 41.800, -73.121], ['Trumbull', 41.243, -73.201],
+                        ['Glastonbury', 41.712, -72.608], ['Naugatuck', 41.486, -73.051], ['Newington', 41.698, -72.724],
+                        ['Cheshire', 41.499, -72.901], ['Vernon', 41.819, -72.479], ['Windsor', 41.853, -72.644],
+                        ['New London', 41.356, -72.100], ['Groton', 41.350, -72.078], ['Branford', 41.280, -72.815],
+                        ['Westport', 41.141, -73.358], ['Ridgefield', 41.281, -73.498], ['Darien', 41.079, -73.469],
+                        ['New Canaan', 41.147, -73.495], ['Wethersfield', 41.714, -72.653], ['Mansfield', 41.788, -72.229],
+                        ['Storrs', 41.808, -72.250], ['Farmington', 41.720, -72.832], ['Simsbury', 41.876, -72.801],
+                        ['Newtown', 41.414, -73.303], ['Guilford', 41.289, -72.682], ['Madison', 41.279, -72.599],
+                        ['Old Saybrook', 41.292, -72.376], ['Mystic', 41.354, -71.966], ['Uncasville', 41.434, -72.110],
+                        ['Mashantucket', 41.473, -71.963], ['Willimantic', 41.711, -72.208], ['Putnam', 41.915, -71.909],
+                        ['Bloomfield', 41.826, -72.730], ['Rocky Hill', 41.665, -72.639], ['Plainville', 41.675, -72.858],
+                        ['Berlin', 41.621, -72.746], ['Orange', 41.278, -73.026], ['North Haven', 41.391, -72.860],
+                        ['East Haven', 41.276, -72.868], ['Ansonia', 41.346, -73.079], ['Derby', 41.321, -73.089],
+                        ['Winsted', 41.921, -73.060], ['Litchfield', 41.747, -73.189], ['New Milford', 41.577, -73.409]
+                    ]
+                },
+                MA: {
+                    name: 'Massachusetts',
+                    cities: [
+                        ['Boston', 42.360, -71.059], ['Worcester', 42.263, -71.802], ['Springfield', 42.101, -72.590],
+                        ['Cambridge', 42.374, -71.106], ['Lowell', 42.634, -71.316], ['Brockton', 42.083, -71.019],
+                        ['New Bedford', 41.636, -70.934], ['Quincy', 42.253, -71.002], ['Lynn', 42.467, -70.949],
+                        ['Fall River', 41.701, -71.155], ['Newton', 42.337, -71.209], ['Lawrence', 42.707, -71.163],
+                        ['Somerville', 42.388, -71.100], ['Framingham', 42.279, -71.416], ['Haverhill', 42.776, -71.077],
+                        ['Waltham', 42.376, -71.236], ['Malden', 42.425, -71.066], ['Brookline', 42.332, -71.121],
+                        ['Plymouth', 41.958, -70.667], ['Medford', 42.418, -71.106], ['Taunton', 41.900, -71.090],
+                        ['Chicopee', 42.149, -72.608], ['Weymouth', 42.221, -70.940], ['Revere', 42.408, -71.012],
+                        ['Peabody', 42.528, -70.929], ['Methuen', 42.726, -71.191], ['Barnstable', 41.700, -70.300],
+                        ['Hyannis', 41.653, -70.283], ['Pittsfield', 42.450, -73.245], ['Attleboro', 41.945, -71.286],
+                        ['Arlington', 42.415, -71.157], ['Everett', 42.408, -71.054], ['Salem', 42.519, -70.897],
+                        ['Westfield', 42.125, -72.750], ['Leominster', 42.525, -71.760], ['Fitchburg', 42.583, -71.802],
+                        ['Beverly', 42.558, -70.880], ['Holyoke', 42.204, -72.616], ['Marlborough', 42.346, -71.552],
+                        ['Woburn', 42.479, -71.152], ['Chelsea', 42.392, -71.033], ['Braintree', 42.222, -71.000],
+                        ['Natick', 42.283, -71.349], ['Needham', 42.281, -71.233], ['Wellesley', 42.297, -71.292],
+                        ['Lexington', 42.447, -71.225], ['Burlington', 42.505, -71.196], ['Bedford', 42.491, -71.276],
+                        ['Andover', 42.658, -71.137], ['North Andover', 42.699, -71.135], ['Billerica', 42.558, -71.269],
+                        ['Chelmsford', 42.600, -71.367], ['Watertown', 42.371, -71.183], ['Dedham', 42.242, -71.166],
+                        ['Norwood', 42.195, -71.200], ['Foxborough', 42.065, -71.248], ['Foxboro', 42.065, -71.248],
+                        ['Franklin', 42.084, -71.397], ['Milford', 42.140, -71.516], ['Canton', 42.158, -71.145],
+                        ['Westborough', 42.270, -71.616], ['Shrewsbury', 42.296, -71.713], ['Northampton', 42.325, -72.641],
+                        ['Amherst', 42.373, -72.520], ['Greenfield', 42.588, -72.599], ['North Adams', 42.700, -73.109],
+                        ['Williamstown', 42.712, -73.204], ['Great Barrington', 42.196, -73.362], ['Gloucester', 42.616, -70.662],
+                        ['Newburyport', 42.812, -70.877], ['Danvers', 42.575, -70.930], ['Saugus', 42.465, -71.010],
+                        ['Wakefield', 42.506, -71.073], ['Reading', 42.526, -71.095], ['Stoneham', 42.480, -71.100],
+                        ['Melrose', 42.458, -71.066], ['Winchester', 42.452, -71.137], ['Concord', 42.460, -71.349],
+                        ['Acton', 42.485, -71.433], ['Maynard', 42.434, -71.450], ['Hudson', 42.392, -71.566],
+                        ['Sudbury', 42.383, -71.416], ['Wayland', 42.363, -71.361], ['Hopkinton', 42.229, -71.523],
+                        ['Mansfield', 42.033, -71.219], ['Easton', 42.024, -71.129], ['Bridgewater', 41.990, -70.975],
+                        ['Hingham', 42.242, -70.890], ['Marshfield', 42.092, -70.706], ['Duxbury', 42.042, -70.672],
+                        ['Falmouth', 41.551, -70.615], ['Provincetown', 42.052, -70.186], ['Nantucket', 41.283, -70.099],
+                        ['Edgartown', 41.389, -70.513], ['Dartmouth', 41.596, -70.999], ['Auburn', 42.195, -71.836],
+                        ['Southbridge', 42.075, -72.034], ['Gardner', 42.575, -71.998], ['Agawam', 42.070, -72.615],
+                        ['West Springfield', 42.107, -72.621], ['Ludlow', 42.160, -72.475], ['Longmeadow', 42.050, -72.583],
+                        ['Easthampton', 42.267, -72.669], ['South Hadley', 42.258, -72.575], ['Lenox', 42.356, -73.285]
+                    ]
+                },
+                ME: {
+                    name: 'Maine',
+                    cities: [
+                        ['Portland', 43.659, -70.257], ['Lewiston', 44.100, -70.215], ['Bangor', 44.801, -68.778],
+                        ['South Portland', 43.641, -70.241], ['Auburn', 44.098, -70.231], ['Biddeford', 43.493, -70.453],
+                        ['Sanford', 43.439, -70.774], ['Saco', 43.501, -70.443], ['Westbrook', 43.677, -70.371],
+                        ['Augusta', 44.311, -69.780], ['Waterville', 44.552, -69.632], ['Brunswick', 43.914, -69.965],
+                        ['Scarborough', 43.578, -70.322], ['Windham', 43.800, -70.422], ['Gorham', 43.680, -70.444],
+                        ['Falmouth', 43.730, -70.242], ['Cape Elizabeth', 43.564, -70.200], ['Yarmouth', 43.801, -70.187],
+                        ['Freeport', 43.857, -70.103], ['Kennebunk', 43.384, -70.544], ['Kennebunkport', 43.362, -70.477],
+                        ['Kittery', 43.088, -70.736], ['York', 43.162, -70.648], ['Wells', 43.322, -70.581],
+                        ['Old Orchard Beach', 43.517, -70.377], ['Bath', 43.911, -69.821], ['Brewer', 44.797, -68.762],
+                        ['Orono', 44.884, -68.672], ['Old Town', 44.934, -68.645], ['Presque Isle', 46.681, -68.016],
+                        ['Caribou', 46.861, -68.012], ['Houlton', 46.126, -67.840], ['Ellsworth', 44.543, -68.419],
+                        ['Bar Harbor', 44.388, -68.204], ['Belfast', 44.426, -69.006], ['Camden', 44.210, -69.065],
+                        ['Rockland', 44.104, -69.109], ['Skowhegan', 44.765, -69.719], ['Farmington', 44.671, -70.151],
+                        ['Rumford', 44.554, -70.551], ['Topsham', 43.928, -69.976], ['Gardiner', 44.230, -69.775],
+                        ['Hallowell', 44.286, -69.791], ['Boothbay Harbor', 43.852, -69.628], ['Bethel', 44.404, -70.790],
+                        ['Millinocket', 45.657, -68.710], ['Calais', 45.184, -67.276], ['Machias', 44.715, -67.461]
+                    ]
+                },
+                NH: {
+                    name: 'New Hampshire',
+                    cities: [
+                        ['Manchester', 42.991, -71.464], ['Nashua', 42.765, -71.468], ['Concord', 43.208, -71.538],
+                        ['Dover', 43.198, -70.874], ['Rochester', 43.305, -70.976], ['Keene', 42.934, -72.278],
+                        ['Derry', 42.881, -71.327], ['Portsmouth', 43.072, -70.763], ['Salem', 42.788, -71.201],
+                        ['Merrimack', 42.865, -71.493], ['Londonderry', 42.865, -71.374], ['Hudson', 42.765, -71.440],
+                        ['Bedford', 42.946, -71.516], ['Goffstown', 43.020, -71.600], ['Laconia', 43.528, -71.470],
+                        ['Hampton', 42.938, -70.839], ['Exeter', 42.981, -70.948], ['Windham', 42.801, -71.304],
+                        ['Durham', 43.134, -70.926], ['Hooksett', 43.097, -71.465], ['Lebanon', 43.642, -72.252],
+                        ['Hanover', 43.702, -72.290], ['Claremont', 43.377, -72.347], ['Somersworth', 43.262, -70.865],
+                        ['Berlin', 44.469, -71.185], ['Milford', 42.836, -71.649], ['Amherst', 42.862, -71.625],
+                        ['Pelham', 42.734, -71.325], ['Seabrook', 42.895, -70.871], ['Stratham', 43.023, -70.915],
+                        ['Newmarket', 43.083, -70.935], ['Plymouth', 43.757, -71.688], ['Conway', 43.979, -71.120],
+                        ['North Conway', 44.054, -71.128], ['Littleton', 44.306, -71.770], ['Peterborough', 42.878, -71.952],
+                        ['Wolfeboro', 43.585, -71.208], ['Meredith', 43.657, -71.500], ['Lincoln', 44.046, -71.671],
+                        ['Newport', 43.365, -72.173], ['Franklin', 43.444, -71.648], ['Jaffrey', 42.814, -72.023]
+                    ]
+                },
+                RI: {
+                    name: 'Rhode Island',
+                    cities: [
+                        ['Providence', 41.824, -71.413], ['Warwick', 41.700, -71.416], ['Cranston', 41.780, -71.437],
+                        ['Pawtucket', 41.879, -71.383], ['East Providence', 41.814, -71.370], ['Woonsocket', 42.003, -71.515],
+                        ['Cumberland', 41.967, -71.433], ['Coventry', 41.700, -71.683], ['North Providence', 41.850, -71.466],
+                        ['South Kingstown', 41.447, -71.525], ['West Warwick', 41.697, -71.522], ['Johnston', 41.822, -71.507],
+                        ['North Kingstown', 41.550, -71.466], ['Newport', 41.490, -71.313], ['Bristol', 41.677, -71.266],
+                        ['Westerly', 41.378, -71.827], ['Smithfield', 41.922, -71.549], ['Lincoln', 41.921, -71.435],
+                        ['Central Falls', 41.891, -71.392], ['Portsmouth', 41.602, -71.250], ['Barrington', 41.741, -71.309],
+                        ['Middletown', 41.546, -71.291], ['Burrillville', 41.970, -71.700], ['Narragansett', 41.450, -71.450],
+                        ['Tiverton', 41.626, -71.214], ['East Greenwich', 41.660, -71.456], ['Kingston', 41.480, -71.523],
+                        ['Wakefield', 41.437, -71.501], ['Block Island', 41.172, -71.558]
+                    ]
+                },
+                VT: {
+                    name: 'Vermont',
+                    cities: [
+                        ['Burlington', 44.476, -73.212], ['South Burlington', 44.467, -73.171], ['Rutland', 43.611, -72.973],
+                        ['Barre', 44.197, -72.502], ['Montpelier', 44.260, -72.576], ['Essex', 44.491, -73.111],
+                        ['Essex Junction', 44.490, -73.111], ['Colchester', 44.544, -73.148], ['Bennington', 42.878, -73.197],
+                        ['Brattleboro', 42.851, -72.558], ['Milton', 44.640, -73.110], ['Hartford', 43.661, -72.338],
+                        ['White River Junction', 43.649, -72.319], ['Williston', 44.437, -73.068], ['Springfield', 43.298, -72.482],
+                        ['Middlebury', 44.015, -73.169], ['St. Albans', 44.811, -73.083], ['Saint Albans', 44.811, -73.083],
+                        ['Winooski', 44.491, -73.186], ['Shelburne', 44.380, -73.228], ['St. Johnsbury', 44.419, -72.015],
+                        ['Saint Johnsbury', 44.419, -72.015], ['Newport', 44.936, -72.205], ['Stowe', 44.465, -72.685],
+                        ['Waterbury', 44.338, -72.756], ['Morrisville', 44.562, -72.598], ['Randolph', 43.925, -72.666],
+                        ['Norwich', 43.715, -72.308], ['Woodstock', 43.624, -72.519], ['Manchester', 43.164, -73.072],
+                        ['Killington', 43.677, -72.780], ['Ludlow', 43.396, -72.700], ['Northfield', 44.151, -72.656],
+                        ['Castleton', 43.611, -73.180], ['Johnson', 44.636, -72.680], ['Lyndonville', 44.534, -72.003],
+                        ['Vergennes', 44.167, -73.254], ['Bellows Falls', 43.134, -72.444], ['Swanton', 44.918, -73.124]
+                    ]
+                }
+            },
+            // Searched by name for hybrid/on-site jobs, in priority order
+            metros: [
+                { city: 'Boston', state: 'MA' },
+                { city: 'Hartford', state: 'CT' },
+                { city: 'Providence', state: 'RI' },
+                { city: 'Portland', state: 'ME' },
+                { city: 'Manchester', state: 'NH' },
+                { city: 'Burlington', state: 'VT' }
+            ]
+        },
+        {
+            id: 'mid-atlantic',
+            name: 'Mid-Atlantic',
+            abbreviation: 'Mid-Atl.',
+            states: {
+                NY: {
+                    name: 'New York',
+                    cities: [
+                        ['New York', 40.713, -74.006], ['Brooklyn', 40.678, -73.944], ['Queens', 40.728, -73.795],
+                        ['Bronx', 40.845, -73.865], ['Staten Island', 40.580, -74.150], ['Buffalo', 42.886, -78.878],
+                        ['Rochester', 43.157, -77.616], ['Yonkers', 40.931, -73.899], ['Syracuse', 43.049, -76.147],
+                        ['Albany', 42.653, -73.756], ['New Rochelle', 40.911, -73.782], ['White Plains', 41.034, -73.763],
+                        ['Long Island City', 40.745, -73.949], ['Hempstead', 40.706, -73.619], ['Garden City', 40.727, -73.635],
+                        ['Uniondale', 40.700, -73.593], ['Melville', 40.793, -73.415], ['Purchase', 41.041, -73.715],
+                        ['Tarrytown', 41.076, -73.859], ['Schenectady', 42.814, -73.940], ['Saratoga Springs', 43.083, -73.785],
+                        ['Ithaca', 42.444, -76.502], ['Binghamton', 42.099, -75.918], ['Utica', 43.101, -75.233],
+                        ['Poughkeepsie', 41.700, -73.921], ['Niagara Falls', 43.096, -79.037], ['Lake Placid', 44.280, -73.982]
+                    ]
+                },
+                NJ: {
+                    name: 'New Jersey',
+                    cities: [
+                        ['Newark', 40.736, -74.172], ['Jersey City', 40.728, -74.078], ['Paterson', 40.917, -74.172],
+                        ['Elizabeth', 40.664, -74.211], ['Trenton', 40.217, -74.743], ['Camden', 39.926, -75.120],
+                        ['Hoboken', 40.744, -74.032], ['East Rutherford', 40.834, -74.097], ['Secaucus', 40.790, -74.057],
+                        ['New Brunswick', 40.486, -74.452], ['Princeton', 40.357, -74.667], ['Morristown', 40.797, -74.482],
+                        ['Parsippany', 40.858, -74.426], ['Edison', 40.519, -74.412], ['Woodbridge', 40.558, -74.285],
+                        ['Atlantic City', 39.364, -74.423], ['Cherry Hill', 39.935, -75.031], ['Toms River', 39.954, -74.198],
+                        ['Hackensack', 40.886, -74.044], ['Montclair', 40.826, -74.209], ['Red Bank', 40.347, -74.064]
+                    ]
+                },
+                PA: {
+                    name: 'Pennsylvania',
+                    cities: [
+                        ['Philadelphia', 39.953, -75.165], ['Pittsburgh', 40.441, -79.996], ['Allentown', 40.608, -75.490],
+                        ['Erie', 42.129, -80.085], ['Reading', 40.336, -75.927], ['Scranton', 41.409, -75.662],
+                        ['Bethlehem', 40.626, -75.370], ['Lancaster', 40.038, -76.306], ['Harrisburg', 40.274, -76.884],
+                        ['York', 39.963, -76.728], ['State College', 40.793, -77.860], ['Wilkes-Barre', 41.246, -75.881],
+                        ['King of Prussia', 40.089, -75.396], ['Conshohocken', 40.079, -75.301], ['Malvern', 40.036, -75.514],
+                        ['West Chester', 39.961, -75.605], ['Hershey', 40.286, -76.650], ['Williamsport', 41.241, -77.001],
+                        ['Chester', 39.849, -75.356], ['Wayne', 40.044, -75.388]
+                    ]
+                },
+                DE: {
+                    name: 'Delaware',
+                    cities: [
+                        ['Wilmington', 39.746, -75.547], ['Dover', 39.158, -75.524], ['Newark', 39.684, -75.750],
+                        ['Middletown', 39.450, -75.716], ['Rehoboth Beach', 38.721, -75.076]
+                    ]
+                },
+                MD: {
+                    name: 'Maryland',
+                    cities: [
+                        ['Baltimore', 39.290, -76.612], ['Columbia', 39.204, -76.861], ['Germantown', 39.173, -77.272],
+                        ['Silver Spring', 38.991, -77.026], ['Rockville', 39.084, -77.153], ['Bethesda', 38.981, -77.100],
+                        ['Gaithersburg', 39.143, -77.201], ['Frederick', 39.414, -77.411], ['Annapolis', 38.978, -76.492],
+                        ['Towson', 39.402, -76.602], ['College Park', 38.981, -76.937], ['Landover', 38.934, -76.897],
+                        ['Hagerstown', 39.642, -77.720], ['Salisbury', 38.361, -75.599], ['Ocean City', 38.336, -75.085]
+                    ]
+                },
+                DC: {
+                    name: 'District of Columbia',
+                    cities: [
+                        ['Washington', 38.907, -77.037]
+                    ]
+                }
+            },
+            metros: [
+                { city: 'New York', state: 'NY' },
+                { city: 'Philadelphia', state: 'PA' },
+                { city: 'Washington', state: 'DC' },
+                { city: 'Baltimore', state: 'MD' },
+                { city: 'Pittsburgh', state: 'PA' },
+                { city: 'Newark', state: 'NJ' },
+                { city: 'Wilmington', state: 'DE' },
+                { city: 'Buffalo', state: 'NY' }
+            ]
+        },
+        {
+            id: 'pacific-northwest',
+            name: 'Pacific Northwest',
+            abbreviation: 'PNW',
+            states: {
+                WA: {
+                    name: 'Washington',
+                    cities: [
+                        ['Seattle', 47.606, -122.332], ['Spokane', 47.659, -117.426], ['Tacoma', 47.253, -122.444],
+                        ['Vancouver', 45.639, -122.661], ['Bellevue', 47.610, -122.201], ['Kent', 47.381, -122.235],
+                        ['Everett', 47.979, -122.202], ['Renton', 47.483, -122.217], ['Redmond', 47.674, -122.121],
+                        ['Kirkland', 47.681, -122.209], ['Bothell', 47.762, -122.205], ['Olympia', 47.038, -122.901],
+                        ['Bellingham', 48.750, -122.478], ['Yakima', 46.602, -120.506], ['Tukwila', 47.474, -122.261],
+                        ['Issaquah', 47.530, -122.033], ['Pullman', 46.731, -117.180], ['Walla Walla', 46.065, -118.343]
+                    ]
+                },
+                OR: {
+                    name: 'Oregon',
+                    cities: [
+                        ['Portland', 45.515, -122.679], ['Salem', 44.943, -123.035], ['Eugene', 44.052, -123.087],
+                        ['Beaverton', 45.487, -122.804], ['Hillsboro', 45.523, -122.990], ['Gresham', 45.498, -122.431],
+                        ['Bend', 44.058, -121.315], ['Medford', 42.327, -122.876], ['Corvallis', 44.565, -123.262],
+                        ['Lake Oswego', 45.421, -122.670], ['Tigard', 45.431, -122.771], ['Ashland', 42.195, -122.709],
+                        ['Hood River', 45.705, -121.521]
+                    ]
+                },
+                ID: {
+                    name: 'Idaho',
+                    cities: [
+                        ['Boise', 43.615, -116.202], ['Meridian', 43.612, -116.391], ['Nampa', 43.541, -116.563],
+                        ['Idaho Falls', 43.492, -112.034], ['Pocatello', 42.871, -112.445], ['Coeur d\'Alene', 47.678, -116.780],
+                        ['Moscow', 46.733, -117.000], ['Sun Valley', 43.697, -114.351]
+                    ]
+                }
+            },
+            metros: [
+                { city: 'Seattle', state: 'WA' },
+                { city: 'Portland', state: 'OR' },
+                { city: 'Boise', state: 'ID' },
+                { city: 'Spokane', state: 'WA' },
+                { city: 'Eugene', state: 'OR' }
+            ]
+        }
+    ];
+
+    /**
+     * Validate a region pack and fill in defaults
+     * @param {Object} raw - Region data (built-in or from an imported file)
+     * @returns {Object} Region
+     */
+    function normalizeRegion(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('Not a valid region pack.');
+        }
+        const name = String(raw.name || '').trim();
+        if (!name) {
+            throw new Error('The region pack has no name.');
+        }
+        if (!raw.states || typeof raw.states !== 'object' || Object.keys(raw.states).length === 0) {
+            throw new Error(`The "${name}" region pack lists no states.`);
+        }
+
+        const states = {};
+        for (const [rawCode, info] of Object.entries(raw.states)) {
+            const code = String(rawCode).trim().toUpperCase();
+            if (!/^[A-Z]{2}$/.test(code) || !String(info?.name || '').trim()) {
+                throw new Error(`State "${rawCode}" needs a two-letter code and a name.`);
+            }
+            const cities = (Array.isArray(info.cities) ? info.cities : [])
+                .map(city => Array.isArray(city) ? city : [city])
+                .filter(([cityName]) => String(cityName || '').trim())
+                .map(([cityName, lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon)
+                    ? [String(cityName).trim(), lat, lon]
+                    : [String(cityName).trim()]);
+            states[code] = { name: String(info.name).trim(), cities };
+        }
+
+        const metros = (Array.isArray(raw.metros) ? raw.metros : [])
+            .map(metro => ({ city: String(metro?.city || '').trim(), state: String(metro?.state || '').trim().toUpperCase() }))
+            .filter(metro => metro.city && states[metro.state]);
+
+        return {
+            id: raw.id || Utils.generateId(),
+            name,
+            abbreviation: String(raw.abbreviation || '').trim() || name,
+            states,
+            metros
+        };
+    }
+
+    /**
+     * Get imported region packs
+     * @returns {Array<Object>} Regions
+     */
+    function getImportedRegions() {
+        const stored = Utils.getStorage(STORAGE_KEY, []);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    /**
+     * Get every region pack, built-in first
+     * @returns {Array<Object>} Regions
+     */
+    function getRegions() {
+        return [...BUILT_IN_REGIONS, ...getImportedRegions()];
+    }
+
+    /**
+     * Get the selected region (New England unless another was picked)
+     * @returns {Object} Region
+     */
+    function getActive() {
+        const id = Utils.getPreferences().region;
+        return getRegions().find(region => region.id === id) || BUILT_IN_REGIONS[0];
+    }
+
+    /**
+     * Select a region
+     * @param {string} id - Region id
+     * @returns {boolean} Success
+     */
+    function setActive(id) {
+        if (!getRegions().some(region => region.id === id)) return false;
+        return Utils.setPreference('region', id);
+    }
+
+    /**
+     * Get the active region's states
+     * @returns {Object} { [code]: { name, cities } }
+     */
+    function getStates() {
+        return getActive().states;
+    }
+
+    /**
+     * Get the active region's state codes
+     * @returns {Array<string>} Two-letter codes
+     */
+    function getStateCodes() {
+        return Object.keys(getStates());
+    }
+
+    /**
+     * Resolve a state code or name to one of the active region's state codes
+     * @param {string} state - State code or name
+     * @returns {string|null} Two-letter code, or null if not in the region
+     */
+    function getStateCode(state) {
+        const value = String(state || '').trim();
+        const states = getStates();
+        if (states[value.toUpperCase()]) return value.toUpperCase();
+        const lower = value.toLowerCase();
+        return Object.keys(states).find(code => states[code].name.toLowerCase() === lower) || null;
+    }
+
+    /**
+     * Get the active region's metros, searched by name
+     * @returns {Array<Object>} { city, state }
+     */
+    function getMetros() {
+        return getActive().metros;
+    }
+
+    /**
+     * Get a job category with its label filled in for the active region
+     * @param {string} id - Category id (see CONFIG.JOB_CATEGORIES)
+     * @returns {Object} Category; unknown ids fall back to 'remote'
+     */
+    function getCategory(id) {
+        const category = CONFIG.JOB_CATEGORIES[id] || CONFIG.JOB_CATEGORIES['remote'];
+        return { ...category, label: category.label.replace('{region}', getActive().abbreviation) };
+    }
+
+    /**
+     * Import a region pack file as a new region
+     * @param {File} file - JSON file: { version, region }
+     * @returns {Promise<Object>} Imported region
+     */
+    async function importFile(file) {
+        let parsed;
+        try {
+            parsed = JSON.parse(await file.text());
+        } catch {
+            throw new Error('Region pack is not valid JSON.');
+        }
+        if (!parsed || parsed.version !== REGION_VERSION || !parsed.region) {
+            throw new Error('Not a valid region pack file.');
+        }
+
+        // Always a new region, so an import never replaces a built-in pack
+        const region = normalizeRegion({ ...parsed.region, id: null });
+        const imported = getImportedRegions();
+        imported.push(region);
+        Utils.setStorage(STORAGE_KEY, imported);
+        return region;
+    }
+
+    /**
+     * Fill the region picker
+     */
+    function renderRegionSelect() {
+        const select = document.getElementById('region-select');
+        if (!select) return;
+
+        const active = getActive();
+        select.innerHTML = getRegions().map(region => `
+            <option value="${Utils.sanitize(region.id)}"${region.id === active.id ? ' selected' : ''}>${Utils.sanitize(region.name)}</option>
+        `).join('');
+    }
+
+    /**
+     * Generate state checkboxes for the active region
+     * @param {HTMLElement} container - Element to fill
+     * @param {string} inputName - Checkbox name attribute
+     * @param {Array<string>|null} checked - Codes to check, or null for all
+     */
+    function renderStateCheckboxes(container, inputName, checked = null) {
+        if (!container) return;
+        container.innerHTML = Object.entries(getStates()).map(([code, info]) => `
+            <label class="checkbox-label">
+                <input type="checkbox" name="${inputName}" value="${Utils.sanitize(code)}"${!checked || checked.includes(code) ? ' checked' : ''}>
+                <span class="checkbox-custom"></span>
+                ${Utils.sanitize(info.name)}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Show the active region on the page: state checkboxes, category labels
+     * (elements with data-category-label) and region names (data-region-name)
+     */
+    function applyToPage() {
+        renderRegionSelect();
+        renderStateCheckboxes(document.getElementById('state-filter-options'), 'state');
+        renderStateCheckboxes(document.getElementById('alert-state-options'), 'alert-state');
+
+        document.querySelectorAll('[data-category-label]').forEach(el => {
+            el.textContent = getCategory(el.dataset.categoryLabel).label;
+        });
+        document.querySelectorAll('[data-region-name]').forEach(el => {
+            el.textContent = getActive().name;
+        });
+    }
+
+    return {
+        getRegions,
+        getActive,
+        setActive,
+        getStates,
+        getStateCodes,
+        getStateCode,
+        getMetros,
+        getCategory,
+        normalizeRegion,
+        importFile,
+        renderRegionSelect,
+        renderStateCheckboxes,
+        applyToPage
+    };
+})();
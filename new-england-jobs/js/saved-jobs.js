@@ -31,11 +31,41 @@ const SavedJobs = (() => {
     }
 
     /**
-     * Get a set of saved job IDs for quick lookup
+     * Get the IDs a saved entry covers: its job's and those of the job's copies on other publishers
+     * @param {Object} saved - Saved job entry
+     * @returns {Array<string>} Job IDs
+     */
+    function getEntryIds(saved) {
+        return [saved.job_id, ...(saved.cluster_ids || [])];
+    }
+
+    /**
+     * Get a set of saved job IDs for quick lookup, including the IDs of saved jobs' copies
      * @returns {Set<string>} Set of saved job IDs
      */
     function getSavedIds() {
-        return new Set(getSavedJobs().map(j => j.job_id));
+        return new Set(getSavedJobs().flatMap(getEntryIds));
+    }
+
+    /**
+     * Find a job in the current search results or detail view
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} Job object
+     */
+    function findCurrentJob(jobId) {
+        const job = window._currentSearchResults?.find(j => j.job_id === jobId);
+        if (job) return job;
+        return window._currentDetailJob?.job_id === jobId ? window._currentDetailJob : null;
+    }
+
+    /**
+     * Check if a job, or any copy of it on another publisher, is saved
+     * @param {Object} job - Job object
+     * @param {Set<string>} savedIds - Saved IDs from getSavedIds (looked up if omitted)
+     * @returns {boolean} Whether the job's cluster is saved
+     */
+    function isJobSaved(job, savedIds = getSavedIds()) {
+        return Dedupe.getClusterIds(job).some(id => savedIds.has(id));
     }
 
     /**
@@ -44,20 +74,23 @@ const SavedJobs = (() => {
      * @returns {boolean} Whether the job is saved
      */
     function isSaved(jobId) {
-        return getSavedJobs().some(j => j.job_id === jobId);
+        const job = findCurrentJob(jobId);
+        return job ? isJobSaved(job) : getSavedIds().has(jobId);
     }
 
     /**
-     * Save a job
+     * Save a job. Its copies on other publishers are recorded with it, so
+     * they show as saved too.
      * @param {Object} jobData - Full job object
      * @returns {boolean} Success
      */
     function saveJob(jobData) {
         const jobs = getSavedJobs();
-        if (jobs.some(j => j.job_id === jobData.job_id)) return false;
+        if (isJobSaved(jobData)) return false;
 
         jobs.push({
             job_id: jobData.job_id,
+            cluster_ids: Dedupe.getClusterIds(jobData).slice(1),
             saved_at: new Date().toISOString(),
             notes: '',
             job_data: jobData
@@ -68,13 +101,15 @@ const SavedJobs = (() => {
     }
 
     /**
-     * Remove a saved job
+     * Remove a saved job, along with any saved copy of it
      * @param {string} jobId - Job ID to remove
      * @returns {boolean} Success
      */
     function removeJob(jobId) {
+        const job = findCurrentJob(jobId);
+        const ids = new Set(job ? Dedupe.getClusterIds(job) : [jobId]);
         const jobs = getSavedJobs();
-        const filtered = jobs.filter(j => j.job_id !== jobId);
+        const filtered = jobs.filter(saved => !getEntryIds(saved).some(id => ids.has(id)));
         if (filtered.length === jobs.length) return false;
         saveToDisk(filtered);
         return true;
@@ -90,8 +125,7 @@ const SavedJobs = (() => {
             Utils.showToast('Job removed from saved.', 'info');
         } else {
             // Find the job in the current results
-            const job = window._currentSearchResults?.find(j => j.job_id === jobId)
-                || window._currentDetailJob;
+            const job = findCurrentJob(jobId) || window._currentDetailJob;
 
             if (job) {
                 saveJob(job);
@@ -125,6 +159,56 @@ const SavedJobs = (() => {
         return true;
     }
 
+    /**
+     * Replace the stored job data of a saved job
+     * @param {string} jobId - Job ID
+     * @param {Object} jobData - Updated job object
+     * @returns {boolean} Success
+     */
+    function updateJobData(jobId, jobData) {
+        const jobs = getSavedJobs();
+        const job = jobs.find(j => j.job_id === jobId);
+        if (!job) return false;
+        job.job_data = jobData;
+        saveToDisk(jobs);
+        return true;
+    }
+
+    /**
+     * Re-fetch a saved job's full record from the provider and store it
+     * @param {string} jobId - Job ID
+     */
+    async function refreshJob(jobId) {
+        const saved = getSavedJobs().find(j => j.job_id === jobId);
+        if (!saved) return;
+
+        if (!JobsAPI.hasJobDetails(saved.job_data)) {
+            Utils.showToast('Details cannot be refreshed for this job.', 'warning');
+            return;
+        }
+
+        const btn = document.querySelector(`.saved-job-card[data-job-id="${jobId}"] .refresh-saved-btn`);
+        if (btn) {
+            btn.disabled = true;
+            btn.textContent = 'Refreshing...';
+        }
+
+        try {
+            const fullJob = await JobsAPI.getJobDetails(saved.job_data, { forceRefresh: true });
+            if (fullJob) {
+                updateJobData(jobId, fullJob);
+                Utils.showToast('Job details refreshed.', 'success');
+            } else {
+                Utils.showToast('This job is no longer listed by the provider.', 'warning');
+            }
+        } catch (error) {
+            Utils.showToast(error.message || 'Could not refresh job details.', 'error');
+        } finally {
+            UI.updateUsageMeter();
+            renderSavedJobsList();
+        }
+    }
+
     /**
      * Clear all saved jobs
      */
@@ -141,7 +225,11 @@ const SavedJobs = (() => {
             Utils.showToast('No saved jobs to export.', 'warning');
             return;
         }
-        const json = JSON.stringify(jobs, null, 2);
+        const withCategories = jobs.map(saved => ({
+            ...saved,
+            category: Filters.isQualifyingJob(saved.job_data).category
+        }));
+        const json = JSON.stringify(withCategories, null, 2);
         Utils.downloadFile(json, 'saved-jobs.json', 'application/json');
         Utils.showToast('Exported as JSON.', 'success');
     }
@@ -155,7 +243,8 @@ const SavedJobs = (() => {
             Utils.showToast('No saved jobs to export.', 'warning');
             return;
         }
-        const csv = Utils.jobsToCSV(jobs);
+        // Recomputed: a stored _qualification may predate category changes
+        const csv = Utils.jobsToCSV(jobs, job => Regions.getCategory(Filters.isQualifyingJob(job).category)?.label || '');
         Utils.downloadFile(csv, 'saved-jobs.csv', 'text/csv');
         Utils.showToast('Exported as CSV.', 'success');
     }
@@ -181,8 +270,8 @@ const SavedJobs = (() => {
         listEl.innerHTML = jobs.map(saved => {
             const job = saved.job_data;
             const qual = Filters.isQualifyingJob(job);
-            const category = CONFIG.JOB_CATEGORIES[qual.category] || CONFIG.JOB_CATEGORIES['remote'];
-            const salary = Utils.formatSalary(job.job_min_salary, job.job_max_salary);
+            const category = Regions.getCategory(qual.category);
+            const salary = Utils.formatJobSalary(job);
             const location = Utils.getJobLocation(job);
 
             return `
@@ -203,6 +292,7 @@ const SavedJobs = (() => {
                         <span>${Utils.sanitize(location)}</span>
                         ${salary ? `<span class="job-card-salary">${salary}</span>` : ''}
                         ${job.job_employment_type ? `<span>${Utils.sanitize(job.job_employment_type)}</span>` : ''}
+                        ${UI.renderAlsoOn(job)}
                     </div>
 
                     ${saved.notes ? `
@@ -210,7 +300,7 @@ const SavedJobs = (() => {
                     ` : ''}
 
                     <div class="saved-job-actions">
-                        <a href="${Utils.sanitize(job.job_apply_link || '#')}"
+                        <a href="${Utils.sanitize(Utils.getApplyLink(job))}"
                            target="_blank"
                            rel="noopener noreferrer"
                            class="btn btn-small btn-primary">
@@ -221,12 +311,20 @@ const SavedJobs = (() => {
                                 aria-label="Add notes">
                             Notes
                         </button>
+                        <button class="btn btn-small btn-secondary refresh-saved-btn"
+                                onclick="SavedJobs.refreshJob('${Utils.sanitize(job.job_id)}')"
+                                aria-label="Refresh job details">
+                            Refresh
+                        </button>
                         <button class="btn btn-small btn-danger"
                                 onclick="SavedJobs.confirmRemove('${Utils.sanitize(job.job_id)}')"
                                 aria-label="Remove saved job">
                             Remove
                         </button>
-                        <span class="saved-job-date">Saved ${Utils.formatRelativeDate(saved.saved_at)}</span>
+                        <span class="saved-job-date">
+                            Saved ${Utils.formatRelativeDate(saved.saved_at)}
+                            ${job._detailsFetchedAt ? ` | Details from ${Utils.formatRelativeDate(new Date(job._detailsFetchedAt).toISOString())}` : ''}
+                        </span>
                     </div>
                 </div>
             `;
@@ -309,11 +407,14 @@ const SavedJobs = (() => {
         getSavedJobs,
         getCount,
         getSavedIds,
+        isJobSaved,
         isSaved,
         saveJob,
         removeJob,
         toggleSave,
         updateNotes,
+        updateJobData,
+        refreshJob,
         clearAll,
         exportJSON,
         exportCSV,
@@ -0,0 +1,326 @@
+/**
+ * New England Jobs - Skills
+ * Bundled dictionary of tools and skills (with other spellings), extendable by
+ * the user, and the extractor that tags jobs with the skills they mention
+ */
+
+const Skills = (() => {
+    const STORAGE_KEY = 'ne_jobs_custom_skills';
+
+    // Facets listed before "Show all"
+    const FACETS_SHOWN = 12;
+
+    const BUILT_IN_SKILLS = [
+        // CRM and marketing automation
+        { name: 'Salesforce', aliases: ['SFDC'] },
+        { name: 'Salesforce Marketing Cloud', aliases: ['SFMC', 'ExactTarget'] },
+        { name: 'HubSpot', aliases: [] },
+        { name: 'Marketo', aliases: ['Adobe Marketo'] },
+        { name: 'Pardot', aliases: ['Marketing Cloud Account Engagement'] },
+        { name: 'Microsoft Dynamics', aliases: ['Dynamics 365', 'Dynamics CRM'] },
+        { name: 'Mailchimp', aliases: [] },
+        { name: 'Klaviyo', aliases: [] },
+        { name: 'Braze', aliases: [] },
+        { name: 'Constant Contact', aliases: [] },
+        // Analytics and data
+        { name: 'Google Analytics', aliases: ['GA4', 'Universal Analytics'] },
+        { name: 'Adobe Analytics', aliases: ['Omniture'] },
+        { name: 'Google Tag Manager', aliases: ['GTM'] },
+        { name: 'Looker', aliases: ['Looker Studio', 'Google Data Studio'] },
+        { name: 'Tableau', aliases: [] },
+        { name: 'Power BI', aliases: ['PowerBI'] },
+        { name: 'SQL', aliases: ['MySQL', 'PostgreSQL'] },
+        // Not plain "Excel", which also means "do well"
+        { name: 'Microsoft Excel', aliases: ['MS Excel', 'Excel spreadsheets', 'advanced Excel', 'Excel skills', 'Excel proficiency'] },
+        { name: 'Python', aliases: [] },
+        { name: 'A/B testing', aliases: ['A/B tests', 'split testing', 'multivariate testing'] },
+        // Advertising and search
+        { name: 'Google Ads', aliases: ['AdWords', 'Google AdWords'] },
+        { name: 'Meta Ads', aliases: ['Facebook Ads', 'Meta Ads Manager', 'Facebook Ads Manager', 'Meta Business Suite'] },
+        { name: 'LinkedIn Ads', aliases: ['LinkedIn Campaign Manager'] },
+        { name: 'The Trade Desk', aliases: ['Trade Desk'] },
+        { name: 'SEO', aliases: ['search engine optimization'] },
+        { name: 'SEM', aliases: ['search engine marketing'] },
+        { name: 'PPC', aliases: ['pay per click', 'pay-per-click'] },
+        // Social media and PR
+        { name: 'Hootsuite', aliases: [] },
+        { name: 'Sprout Social', aliases: [] },
+        { name: 'Sprinklr', aliases: [] },
+        { name: 'Cision', aliases: [] },
+        { name: 'Meltwater', aliases: [] },
+        { name: 'Muck Rack', aliases: [] },
+        // Design, video and web
+        { name: 'Adobe Creative Cloud', aliases: ['Adobe CC', 'Creative Cloud', 'Adobe Creative Suite', 'Creative Suite'] },
+        { name: 'Photoshop', aliases: ['Adobe Photoshop'] },
+        { name: 'Illustrator', aliases: ['Adobe Illustrator'] },
+        { name: 'InDesign', aliases: ['Adobe InDesign'] },
+        { name: 'Premiere Pro', aliases: ['Adobe Premiere', 'Premiere Pro CC'] },
+        { name: 'After Effects', aliases: ['Adobe After Effects'] },
+        { name: 'Lightroom', aliases: ['Adobe Lightroom'] },
+        { name: 'Final Cut Pro', aliases: ['Final Cut'] },
+        { name: 'Canva', aliases: [] },
+        { name: 'Figma', aliases: [] },
+        { name: 'WordPress', aliases: [] },
+        { name: 'Shopify', aliases: [] },
+        { name: 'HTML', aliases: ['HTML5'] },
+        { name: 'CSS', aliases: ['CSS3'] },
+        { name: 'JavaScript', aliases: [] },
+        // Project management and productivity
+        { name: 'Jira', aliases: [] },
+        { name: 'Asana', aliases: [] },
+        { name: 'Trello', aliases: [] },
+        { name: 'Smartsheet', aliases: [] },
+        { name: 'Monday.com', aliases: [] },
+        { name: 'PowerPoint', aliases: ['Microsoft PowerPoint', 'MS PowerPoint'] },
+        { name: 'Google Workspace', aliases: ['G Suite', 'Google Sheets', 'Google Slides'] },
+        // Sports and live events
+        { name: 'Ticketmaster', aliases: ['Archtics'] },
+        { name: 'SeatGeek', aliases: [] },
+        { name: 'Tessitura', aliases: [] },
+        { name: 'KORE', aliases: ['KORE Software'] }
+    ];
+
+    // Compiled dictionary: [{ name, terms }], rebuilt when the user's skills change
+    let dictionary = null;
+
+    /**
+     * Parse the user's skills from the editor: one per line, other spellings after a colon
+     * @param {string} text - e.g. "Adobe Creative Cloud: Adobe CC, Creative Suite"
+     * @returns {Array<Object>} Skills { name, aliases }
+     */
+    function parseSkills(text) {
+        const seen = new Set();
+        return String(text || '').split('\n').map(line => {
+            const colon = line.indexOf(':');
+            const name = (colon >= 0 ? line.slice(0, colon) : line).trim();
+            const aliases = colon >= 0
+                ? line.slice(colon + 1).split(',').map(alias => alias.trim()).filter(Boolean)
+                : [];
+            return { name, aliases };
+        }).filter(skill => {
+            const key = skill.name.toLowerCase();
+            if (!skill.name || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Format skills for the editor, one per line
+     * @param {Array<Object>} skills - Skills { name, aliases }
+     * @returns {string} Text for parseSkills
+     */
+    function formatSkills(skills) {
+        return skills.map(skill => skill.aliases.length > 0
+            ? `${skill.name}: ${skill.aliases.join(', ')}`
+            : skill.name
+        ).join('\n');
+    }
+
+    /**
+     * Get the user's own skills
+     * @returns {Array<Object>} Skills { name, aliases }
+     */
+    function getCustomSkills() {
+        const stored = Utils.getStorage(STORAGE_KEY, []);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    /**
+     * Replace the user's own skills
+     * @param {Array<Object>} skills - Skills { name, aliases }
+     * @returns {boolean} Success
+     */
+    function saveCustomSkills(skills) {
+        dictionary = null;
+        return Utils.setStorage(STORAGE_KEY, skills);
+    }
+
+    /**
+     * Get the compiled dictionary. A user skill named like a built-in one adds its
+     * spellings to it; the rest are added after the built-in skills.
+     * @returns {Array<Object>} { name, terms: exact terms from Filters.compileTerm }
+     */
+    function getDictionary() {
+        if (dictionary) return dictionary;
+
+        const merged = new Map();
+        for (const skill of [...BUILT_IN_SKILLS, ...getCustomSkills()]) {
+            const key = skill.name.toLowerCase();
+            const entry = merged.get(key) || { name: skill.name, spellings: [skill.name] };
+            entry.spellings.push(...(skill.aliases || []));
+            merged.set(key, entry);
+        }
+
+        dictionary = Array.from(merged.values()).map(entry => ({
+            name: entry.name,
+            terms: entry.spellings.map(spelling => Filters.compileTerm(spelling, true)).filter(Boolean)
+        }));
+        return dictionary;
+    }
+
+    /**
+     * Find the skills a job mentions in its title, highlights or description
+     * @param {Object} job - Job object
+     * @returns {Array<string>} Skill names, in dictionary order
+     */
+    function extract(job) {
+        const text = [
+            job.job_title,
+            ...Object.values(job.job_highlights || {}).flat(),
+            job.job_description
+        ].filter(Boolean).join('\n');
+        const tokens = Filters.analyzeText(text);
+        return getDictionary()
+            .filter(skill => skill.terms.some(term => Filters.hasTerm(tokens, term)))
+            .map(skill => skill.name);
+    }
+
+    /**
+     * Get highlight terms for skills, for Filters.highlightTerms
+     * @param {Array<string>} names - Skill names
+     * @returns {Array<Object>} Terms with className "skill-match"
+     */
+    function getTerms(names) {
+        const wanted = new Set(names);
+        return getDictionary()
+            .filter(skill => wanted.has(skill.name))
+            .flatMap(skill => skill.terms.map(term => ({ ...term, className: 'skill-match' })));
+    }
+
+    /**
+     * Count how many jobs mention each skill
+     * @param {Array<Object>} jobs - Jobs tagged by Filters.applyFilters (`_skills`)
+     * @returns {Array<Object>} { name, count }, most common first
+     */
+    function countSkills(jobs) {
+        const counts = new Map();
+        for (const job of jobs) {
+            for (const name of job._skills || extract(job)) {
+                counts.set(name, (counts.get(name) || 0) + 1);
+            }
+        }
+        return Array.from(counts, ([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Show the number of skills in the filters panel
+     */
+    function renderSummary() {
+        const el = document.getElementById('skills-summary');
+        if (!el) return;
+
+        const custom = getCustomSkills().length;
+        el.textContent = `${BUILT_IN_SKILLS.length} built-in skills${custom > 0 ? `, ${custom} of yours` : ''}.`;
+    }
+
+    /**
+     * Show skill facets for the current results: each skill with its count and
+     * its include/exclude state (skills toggled on stay listed even at 0)
+     * @param {Array<Object>} jobs - Current results
+     * @param {Object} filter - { include: Array<string>, exclude: Array<string> }
+     * @param {boolean} showAll - List every skill, not just the most common
+     */
+    function renderFacets(jobs, filter, showAll = false) {
+        const panel = document.getElementById('skills-facets');
+        const list = document.getElementById('skills-facets-list');
+        if (!panel || !list) return;
+
+        const facets = countSkills(jobs);
+        for (const name of [...filter.include, ...filter.exclude]) {
+            if (!facets.some(facet => facet.name === name)) facets.push({ name, count: 0 });
+        }
+        const toggled = facets.filter(facet => filter.include.includes(facet.name) || filter.exclude.includes(facet.name));
+        const shown = showAll
+            ? facets
+            : [...new Set([...facets.slice(0, FACETS_SHOWN), ...toggled])];
+
+        panel.hidden = facets.length === 0;
+        list.innerHTML = shown.map(facet => {
+            const state = filter.include.includes(facet.name)
+                ? 'include'
+                : filter.exclude.includes(facet.name) ? 'exclude' : '';
+            const titles = {
+                include: `Showing only jobs that mention ${facet.name}. Click to hide them instead.`,
+                exclude: `Hiding jobs that mention ${facet.name}. Click to clear.`,
+                '': `Click to show only jobs that mention ${facet.name}.`
+            };
+            return `
+                <li>
+                    <button type="button" class="skill-facet${state ? ` skill-facet-${state}` : ''}"
+                            data-skill="${Utils.escapeAttribute(facet.name)}"
+                            aria-pressed="${state ? 'true' : 'false'}"
+                            title="${Utils.escapeAttribute(titles[state])}">
+                        ${state === 'exclude' ? '<span aria-hidden="true">&minus;</span>' : ''}
+                        ${state === 'include' ? '<span aria-hidden="true">+</span>' : ''}
+                        ${Utils.sanitize(facet.name)}
+                        <span class="skill-facet-count">${facet.count}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+
+        const moreBtn = document.getElementById('skills-facets-more');
+        if (moreBtn) {
+            moreBtn.hidden = facets.length <= FACETS_SHOWN;
+            moreBtn.textContent = showAll ? 'Show fewer' : `Show all ${facets.length}`;
+        }
+        const clearBtn = document.getElementById('skills-facets-clear');
+        if (clearBtn) clearBtn.hidden = toggled.length === 0;
+    }
+
+    /**
+     * Open the skills editor
+     */
+    function openEditModal() {
+        const modal = document.getElementById('skills-modal');
+        if (!modal) return;
+
+        const textarea = document.getElementById('skills-custom');
+        if (textarea) textarea.value = formatSkills(getCustomSkills());
+
+        modal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        textarea?.focus();
+    }
+
+    /**
+     * Close the skills editor
+     */
+    function closeModal() {
+        const modal = document.getElementById('skills-modal');
+        if (modal) {
+            modal.hidden = true;
+            document.body.style.overflow = '';
+        }
+    }
+
+    /**
+     * Save the skills editor form
+     * @param {Event} e - Submit event
+     */
+    function handleFormSubmit(e) {
+        e.preventDefault();
+
+        saveCustomSkills(parseSkills(document.getElementById('skills-custom')?.value || ''));
+
+        closeModal();
+        renderSummary();
+        Utils.showToast('Skills saved.', 'success');
+    }
+
+    return {
+        getCustomSkills,
+        saveCustomSkills,
+        parseSkills,
+        extract,
+        getTerms,
+        countSkills,
+        renderSummary,
+        renderFacets,
+        openEditModal,
+        closeModal,
+        handleFormSubmit
+    };
+})();
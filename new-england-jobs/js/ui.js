@@ -35,11 +35,12 @@ const UI = (() => {
      */
     function createJobCard(job, isSaved = false) {
         const qual = job._qualification || Filters.isQualifyingJob(job);
-        const category = CONFIG.JOB_CATEGORIES[qual.category] || CONFIG.JOB_CATEGORIES['remote'];
+        const category = Regions.getCategory(qual.category);
         const score = job._relevanceScore !== undefined ? job._relevanceScore : 5;
-        const salary = Utils.formatSalary(job.job_min_salary, job.job_max_salary);
+        const salary = Utils.formatJobSalary(job);
         const postedDate = Utils.formatRelativeDate(job.job_posted_at_datetime_utc);
         const location = Utils.getJobLocation(job);
+        const applyLink = Utils.getApplyLink(job);
 
         // Score styling
         let scoreClass = 'score-low';
@@ -53,7 +54,10 @@ const UI = (() => {
         const logoSrc = job.employer_logo || 'assets/images/default-logo.png';
 
         return `
-            <div class="job-card" role="listitem" data-job-id="${Utils.sanitize(job.job_id)}" tabindex="0">
+            <div class="job-card${job._blockedReason ? ' job-card-blocked' : ''}" role="listitem" data-job-id="${Utils.sanitize(job.job_id)}" tabindex="0">
+                ${job._blockedReason ? `
+                    <p class="job-card-blocked-reason">Hidden by your blocklist (${Utils.sanitize(job._blockedReason)})</p>
+                ` : ''}
                 <div class="job-card-header">
                     <img class="job-card-logo"
                          src="assets/images/default-logo.png"
@@ -63,33 +67,39 @@ const UI = (() => {
                          onerror="this.src='assets/images/default-logo.png'">
                     <div class="job-card-info">
                         <h3 class="job-card-title">
-                            <a href="${Utils.sanitize(job.job_apply_link || '#')}"
+                            <a href="${Utils.sanitize(applyLink)}"
                                target="_blank"
                                rel="noopener noreferrer"
                                title="View job posting"
                                onclick="event.stopPropagation()">
-                                ${Utils.sanitize(job.job_title)}
+                                ${highlight(job.job_title, job)}
                             </a>
                         </h3>
                         <p class="job-card-company">${Utils.sanitize(job.employer_name)}</p>
                     </div>
                     <div class="job-card-badges">
-                        <span class="badge ${category.cssClass}">${Utils.sanitize(category.label)}</span>
+                        <span class="badge ${category.cssClass}" title="${Utils.escapeAttribute(qual.reason)}">${Utils.sanitize(category.label)}</span>
+                        ${renderSeniorityBadge(job)}
+                        ${Utils.hasDirectApply(job) ? `
+                            <span class="direct-apply-indicator" title="Can be applied for on the employer's own site">Direct apply</span>
+                        ` : ''}
                     </div>
                 </div>
 
                 <div class="job-card-meta">
                     <span class="job-card-meta-item">${Utils.sanitize(location)}</span>
+                    ${typeof job._distance === 'number' ? `<span class="job-card-meta-item job-card-distance">${formatDistance(job._distance)}</span>` : ''}
                     ${salary ? `<span class="job-card-meta-item job-card-salary">${salary}</span>` : ''}
                     ${job.job_employment_type ? `<span class="job-card-meta-item">${Utils.sanitize(formatEmploymentType(job.job_employment_type))}</span>` : ''}
                     ${job.job_publisher ? `<span class="job-card-meta-item">via ${Utils.sanitize(job.job_publisher)}</span>` : ''}
+                    ${renderAlsoOn(job)}
                 </div>
 
                 ${qualifications.length > 0 ? `
                     <div class="job-card-highlights">
                         <h4>Qualifications</h4>
                         <ul>
-                            ${qualifications.map(q => `<li>${Utils.sanitize(Utils.truncate(q, 120))}</li>`).join('')}
+                            ${qualifications.map(q => `<li>${highlight(Utils.truncate(q, 120), job)}</li>`).join('')}
                         </ul>
                     </div>
                 ` : ''}
@@ -98,7 +108,7 @@ const UI = (() => {
                     <div class="job-card-highlights">
                         <h4>Responsibilities</h4>
                         <ul>
-                            ${responsibilities.map(r => `<li>${Utils.sanitize(Utils.truncate(r, 120))}</li>`).join('')}
+                            ${responsibilities.map(r => `<li>${highlight(Utils.truncate(r, 120), job)}</li>`).join('')}
                         </ul>
                     </div>
                 ` : ''}
@@ -110,6 +120,14 @@ const UI = (() => {
                             <div class="score-fill ${scoreClass}" style="width: ${score * 10}%"></div>
                         </div>
                         <span>${score}/10</span>
+                        ${job._relevanceBreakdown ? `
+                            <details class="score-why" onclick="event.stopPropagation()" onkeydown="event.stopPropagation()">
+                                <summary aria-label="Why this score?" title="Why this score?">?</summary>
+                                <div class="score-why-popover">
+                                    ${renderScoreBreakdown(job._relevanceBreakdown)}
+                                </div>
+                            </details>
+                        ` : ''}
                     </div>
                     <span class="job-card-date">${postedDate}</span>
                     <div class="job-card-actions">
@@ -119,7 +137,7 @@ const UI = (() => {
                                 title="${isSaved ? 'Remove from saved' : 'Save job'}">
                             ${isSaved ? 'Saved' : 'Save'}
                         </button>
-                        <a href="${Utils.sanitize(job.job_apply_link || '#')}"
+                        <a href="${Utils.sanitize(applyLink)}"
                            target="_blank"
                            rel="noopener noreferrer"
                            class="btn btn-small btn-primary"
@@ -133,6 +151,126 @@ const UI = (() => {
         `;
     }
 
+    /**
+     * Escape text for HTML, marking the search terms the job was scored against
+     * @param {string} text - Plain text
+     * @param {Object} job - Job (uses its _relevanceBreakdown query terms)
+     * @returns {string} HTML string
+     */
+    function highlight(text, job) {
+        return Filters.highlightTerms(text, job._relevanceBreakdown?.queryTerms);
+    }
+
+    /**
+     * Escape text for HTML, marking the search terms and the skills the job mentions
+     * @param {string} text - Plain text
+     * @param {Object} job - Job (uses its query terms and _skills)
+     * @returns {string} HTML string
+     */
+    function highlightDetail(text, job) {
+        return Filters.highlightTerms(text, [
+            ...(job._relevanceBreakdown?.queryTerms || []),
+            ...Skills.getTerms(job._skills || Skills.extract(job))
+        ]);
+    }
+
+    /**
+     * Render a relevance score breakdown from Filters.explainJobRelevance
+     * @param {Object} breakdown - { score, points, maxPoints, profileName, components }
+     * @returns {string} HTML string
+     */
+    function renderScoreBreakdown(breakdown) {
+        const formatPoints = points => {
+            const rounded = Number(points.toFixed(2));
+            return rounded > 0 ? `+${rounded}` : String(rounded);
+        };
+
+        if (breakdown.components.length === 0) {
+            return '<p class="score-breakdown-note">No keywords or profile terms to score against, so every job gets 5/10.</p>';
+        }
+
+        // Skip components that can't contribute (zero weight and no hits)
+        const rows = breakdown.components.filter(c => c.max > 0 || c.terms.length > 0);
+
+        return `
+            <p class="score-breakdown-title">Why ${breakdown.score}/10?</p>
+            <ul class="score-breakdown">
+                ${rows.map(c => `
+                    <li class="score-breakdown-row${c.points < 0 ? ' score-breakdown-penalty' : ''}">
+                        <span class="score-breakdown-label">${Utils.sanitize(c.label)}</span>
+                        <span class="score-breakdown-points">${formatPoints(c.points)}${c.max > 0 ? ` / ${c.max}` : ''}</span>
+                        <span class="score-breakdown-terms">${c.terms.length > 0
+                            ? c.terms.map(t => Utils.sanitize(t)).join(', ')
+                            : 'no matches'}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <p class="score-breakdown-note">
+                ${Number(breakdown.points.toFixed(2))} of ${Number(breakdown.maxPoints.toFixed(2))} points${breakdown.maxPoints !== 10 ? `, scaled to ${breakdown.score}/10` : ''}.
+                Profile: ${Utils.sanitize(breakdown.profileName)}
+            </p>
+        `;
+    }
+
+    /**
+     * Format a distance from the home location
+     * @param {number} miles - Distance in miles
+     * @returns {string} e.g. "12 mi from Keene, NH"
+     */
+    function formatDistance(miles) {
+        const rounded = miles < 10 ? miles.toFixed(1) : Math.round(miles);
+        return `${rounded} mi from ${Utils.sanitize(Utils.getPreferences().homeLocation)}`;
+    }
+
+    /**
+     * Render a job's seniority badge
+     * @param {Object} job - Job object
+     * @returns {string} HTML, or '' if the level can't be inferred
+     */
+    function renderSeniorityBadge(job) {
+        const seniority = job._seniority || Filters.inferSeniority(job);
+        if (!seniority.level) return '';
+        return `<span class="badge badge-seniority" title="${Utils.escapeAttribute(seniority.reasons.join('; '))}">${Utils.sanitize(CONFIG.SENIORITY_LEVELS[seniority.level].label)}</span>`;
+    }
+
+    /**
+     * Render why a job got its seniority level, for the detail modal
+     * @param {Object} job - Job object
+     * @returns {string} HTML
+     */
+    function renderSeniorityDetail(job) {
+        const seniority = job._seniority || Filters.inferSeniority(job);
+        const label = seniority.level ? CONFIG.SENIORITY_LEVELS[seniority.level].label : 'not stated';
+        return `
+            <details class="job-detail-section seniority-why">
+                <summary>Seniority: ${Utils.sanitize(label)} &mdash; why?</summary>
+                ${seniority.reasons.length > 0 ? `
+                    <ul>
+                        ${seniority.reasons.map(reason => `<li>${Utils.sanitize(reason)}</li>`).join('')}
+                    </ul>
+                ` : '<p>Neither the title nor the posting mentions a level or years of experience, so the seniority filter always shows this job.</p>'}
+            </details>
+        `;
+    }
+
+    /**
+     * Render links to a job's copies on other publishers
+     * @param {Object} job - Job object
+     * @returns {string} HTML ("also on: LinkedIn, Indeed"), or '' if it has none
+     */
+    function renderAlsoOn(job) {
+        const links = Dedupe.getAlsoOn(job);
+        if (links.length === 0) return '';
+        return `
+            <span class="also-on">also on:
+                ${links.map(link => `
+                    <a href="${Utils.escapeAttribute(link.apply_link)}" target="_blank" rel="noopener noreferrer"
+                       onclick="event.stopPropagation()">${Utils.sanitize(link.publisher)}</a>
+                `.trim()).join(', ')}
+            </span>
+        `;
+    }
+
     /**
      * Format employment type for display
      * @param {string} type - Raw employment type
@@ -166,7 +304,7 @@ const UI = (() => {
         const savedJobIds = SavedJobs.getSavedIds();
 
         grid.innerHTML = pageJobs.map(job =>
-            createJobCard(job, savedJobIds.has(job.job_id))
+            createJobCard(job, SavedJobs.isJobSaved(job, savedJobIds))
         ).join('');
 
         // Set up lazy loading for images
@@ -199,8 +337,11 @@ const UI = (() => {
         });
     }
 
+    // Highlight sections shown first, in this order; any others follow
+    const HIGHLIGHT_ORDER = ['Qualifications', 'Responsibilities'];
+
     /**
-     * Show the job detail modal
+     * Show the job detail modal, then load the job's full record into it
      * @param {Object} job - Job object
      */
     function showJobDetail(job) {
@@ -208,16 +349,180 @@ const UI = (() => {
         const modalBody = document.getElementById('modal-body');
         if (!modal || !modalBody) return;
 
+        const loadDetails = !job._detailsFetchedAt && JobsAPI.hasJobDetails(job);
+        renderJobDetail(job, loadDetails ? 'loading' : 'complete');
+
+        modal.hidden = false;
+        document.body.style.overflow = 'hidden';
+
+        // Store job data for save functionality
+        modal.dataset.currentJobId = job.job_id;
+        window._currentDetailJob = job;
+
+        // Focus the close button
+        const closeBtn = document.getElementById('modal-close-btn');
+        if (closeBtn) closeBtn.focus();
+
+        if (loadDetails) loadJobDetails(job);
+    }
+
+    /**
+     * Fetch a job's full record and, if its modal is still open, show it.
+     * The job object is updated in place so the results list and saved jobs see it too.
+     * @param {Object} job - Job shown in the modal
+     */
+    async function loadJobDetails(job) {
+        let status = 'complete';
+        let message = '';
+
+        try {
+            const fullJob = await JobsAPI.getJobDetails(job);
+            if (fullJob) {
+                // Filtered results are copies of the raw search results; update both
+                const raw = window._currentSearchResults?.find(j => j.job_id === job.job_id);
+                if (raw && raw !== job) Object.assign(raw, fullJob);
+                Object.assign(job, fullJob);
+                if (SavedJobs.isSaved(job.job_id)) SavedJobs.updateJobData(job.job_id, job);
+            } else {
+                status = 'unlisted';
+            }
+        } catch (error) {
+            status = 'failed';
+            message = error.message;
+        }
+
+        updateUsageMeter();
+
+        const modal = document.getElementById('job-detail-modal');
+        if (!modal || modal.hidden || modal.dataset.currentJobId !== job.job_id) return;
+        renderJobDetail(job, status, message);
+    }
+
+    /**
+     * Format a JSearch benefit code for display
+     * @param {string} benefit - e.g. 'health_insurance'
+     * @returns {string} e.g. 'Health insurance'
+     */
+    function formatBenefit(benefit) {
+        const text = String(benefit).replace(/_/g, ' ').trim();
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Render a titled list section of the detail modal
+     * @param {string} title - Section heading
+     * @param {Array<string>} items - List items
+     * @param {Object} job - Job the list belongs to (for search term and skill highlighting)
+     * @returns {string} HTML string ('' when there are no items)
+     */
+    function renderDetailList(title, items, job) {
+        if (!Array.isArray(items) || items.length === 0) return '';
+        return `
+            <div class="job-detail-section">
+                <h3>${Utils.sanitize(title)}</h3>
+                <ul>
+                    ${items.map(item => `<li>${highlightDetail(item, job)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the employer's headquarters, with a form to add or correct it
+     * @param {Object} job - Job object
+     * @returns {string} HTML string
+     */
+    function renderHeadquarters(job) {
+        const entry = EmployerDirectory.lookup(job.employer_name);
+        const summary = entry
+            ? `Headquarters: ${EmployerDirectory.formatHeadquarters(entry)}${entry.source === 'user' ? ' (your entry)' : ''}`
+            : 'Headquarters: unknown';
+        const region = Regions.getActive();
+        const stateOptions = [
+            ['', `Outside ${region.name}`],
+            ...Object.entries(region.states).map(([code, info]) => [code, info.name])
+        ];
+        const selectedState = entry ? entry.state || '' : '';
+
+        return `
+            <details class="job-detail-section employer-hq">
+                <summary>${Utils.sanitize(summary)} &mdash; ${entry ? 'correct it' : 'add it'}</summary>
+                <form class="employer-hq-form"
+                      onsubmit="if (EmployerDirectory.handleFormSubmit(event, window._currentDetailJob)) { UI.refreshDetailHeadquarters(); App.refreshResults(); }">
+                    <p class="form-help">Remote jobs at ${Utils.sanitize(region.name)} companies are listed as ${Utils.sanitize(Regions.getCategory('remote-ne-company').label)}, even when the posting only says "United States".</p>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="hq-city">City</label>
+                            <input type="text" id="hq-city" name="hq-city" value="${Utils.escapeAttribute(entry?.city || '')}" placeholder="e.g., Foxborough">
+                        </div>
+                        <div class="form-group">
+                            <label for="hq-state">State</label>
+                            <select id="hq-state" name="hq-state" class="filter-select">
+                                ${stateOptions.map(([code, name]) => `
+                                    <option value="${Utils.sanitize(code)}"${code === selectedState ? ' selected' : ''}>${Utils.sanitize(name)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    <div class="modal-actions">
+                        ${entry?.source === 'user' ? `
+                            <button type="button" class="btn btn-small btn-secondary"
+                                    onclick="if (EmployerDirectory.removeEntry(window._currentDetailJob.employer_name)) { UI.refreshDetailHeadquarters(); App.refreshResults(); }">
+                                Undo my entry
+                            </button>
+                        ` : ''}
+                        <button type="submit" class="btn btn-small btn-primary">Save Headquarters</button>
+                    </div>
+                </form>
+            </details>
+        `;
+    }
+
+    /**
+     * Re-categorize the job open in the detail modal after its employer's
+     * headquarters changed, and show the change
+     */
+    function refreshDetailHeadquarters() {
+        const job = window._currentDetailJob;
+        if (!job) return;
+        job._qualification = Filters.isQualifyingJob(job);
+        renderJobDetail(job, 'complete');
+    }
+
+    /**
+     * Render the detail modal body
+     * @param {Object} job - Job object
+     * @param {string} status - Full record: 'loading', 'complete', 'unlisted' or 'failed'
+     * @param {string} message - Why loading failed (status 'failed')
+     */
+    function renderJobDetail(job, status, message = '') {
+        const modalBody = document.getElementById('modal-body');
+        if (!modalBody) return;
+
         const qual = job._qualification || Filters.isQualifyingJob(job);
-        const category = CONFIG.JOB_CATEGORIES[qual.category] || CONFIG.JOB_CATEGORIES['remote'];
-        const salary = Utils.formatSalary(job.job_min_salary, job.job_max_salary);
+        const category = Regions.getCategory(qual.category);
+        const salary = Utils.formatJobSalary(job);
         const location = Utils.getJobLocation(job);
-        const isSaved = SavedJobs.isSaved(job.job_id);
+        const isSaved = SavedJobs.isJobSaved(job);
+        const alsoOn = renderAlsoOn(job);
 
-        const qualifications = job.job_highlights?.Qualifications || [];
-        const responsibilities = job.job_highlights?.Responsibilities || [];
+        const highlights = job.job_highlights || {};
+        const sectionNames = [
+            ...HIGHLIGHT_ORDER.filter(name => highlights[name]),
+            ...Object.keys(highlights).filter(name => !HIGHLIGHT_ORDER.includes(name) && name !== 'Benefits')
+        ];
+        const benefits = (job.job_benefits || []).map(formatBenefit);
+        const applyOptions = Utils.getApplyOptions(job);
+        // Re-tag, as the full record can mention skills the search summary didn't
+        const skills = job._skills = Skills.extract(job);
         const description = job.job_description || 'No description available.';
 
+        const statusNotes = {
+            loading: 'Loading full details...',
+            unlisted: 'This job is no longer listed by the provider. Showing the search summary.',
+            failed: `Full details unavailable (${message}). Showing the search summary.`
+        };
+
         modalBody.innerHTML = `
             <div class="job-detail-header">
                 <img class="job-detail-logo"
@@ -228,43 +533,93 @@ const UI = (() => {
                     <h2 id="modal-job-title" class="job-detail-title">${Utils.sanitize(job.job_title)}</h2>
                     <p class="job-detail-company">${Utils.sanitize(job.employer_name)}</p>
                     <div class="job-detail-meta">
-                        <span class="badge ${category.cssClass}">${Utils.sanitize(category.label)}</span>
+                        <span class="badge ${category.cssClass}" title="${Utils.escapeAttribute(qual.reason)}">${Utils.sanitize(category.label)}</span>
+                        ${renderSeniorityBadge(job)}
                         <span>${Utils.sanitize(location)}</span>
+                        ${typeof job._distance === 'number' ? `<span class="job-card-distance">${formatDistance(job._distance)}</span>` : ''}
                         ${salary ? `<span class="job-card-salary">${salary}</span>` : ''}
                         ${job.job_employment_type ? `<span>${Utils.sanitize(formatEmploymentType(job.job_employment_type))}</span>` : ''}
                     </div>
                 </div>
             </div>
 
-            ${qualifications.length > 0 ? `
+            ${statusNotes[status] ? `
+                <p class="job-detail-status job-detail-status-${status}" role="status">${Utils.sanitize(statusNotes[status])}</p>
+            ` : ''}
+
+            ${job._relevanceBreakdown ? `
+                <details class="job-detail-section score-why-detail">
+                    <summary>Relevance ${job._relevanceScore}/10 &mdash; why this score?</summary>
+                    ${renderScoreBreakdown(job._relevanceBreakdown)}
+                </details>
+            ` : ''}
+
+            ${renderSeniorityDetail(job)}
+
+            ${skills.length > 0 ? `
                 <div class="job-detail-section">
-                    <h3>Qualifications</h3>
-                    <ul>
-                        ${qualifications.map(q => `<li>${Utils.sanitize(q)}</li>`).join('')}
-                    </ul>
+                    <h3>Skills</h3>
+                    <div class="job-detail-skills">
+                        ${skills.map(name => `<span class="job-detail-skill">${Utils.sanitize(name)}</span>`).join('')}
+                    </div>
                 </div>
             ` : ''}
 
-            ${responsibilities.length > 0 ? `
+            ${job.employer_name ? renderHeadquarters(job) : ''}
+
+            ${sectionNames.map(name => renderDetailList(name, highlights[name], job)).join('')}
+
+            ${benefits.length > 0 || highlights.Benefits ? `
                 <div class="job-detail-section">
-                    <h3>Responsibilities</h3>
-                    <ul>
-                        ${responsibilities.map(r => `<li>${Utils.sanitize(r)}</li>`).join('')}
-                    </ul>
+                    <h3>Benefits</h3>
+                    ${benefits.length > 0 ? `
+                        <div class="job-detail-benefits">
+                            ${benefits.map(b => `<span class="job-detail-benefit">${Utils.sanitize(b)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                    ${highlights.Benefits ? `
+                        <ul>
+                            ${highlights.Benefits.map(b => `<li>${highlightDetail(b, job)}</li>`).join('')}
+                        </ul>
+                    ` : ''}
                 </div>
             ` : ''}
 
             <div class="job-detail-section">
                 <h3>Description</h3>
-                <div class="job-detail-description">${Utils.sanitize(Utils.truncate(description, 3000))}</div>
+                <div class="job-detail-description">${highlightDetail(status === 'loading' ? Utils.truncate(description, 3000) : description, job)}</div>
             </div>
 
+            ${applyOptions.length > 0 ? `
+                <div class="job-detail-section">
+                    <h3>Apply Options</h3>
+                    <ul class="job-detail-apply-options">
+                        ${applyOptions.map(option => `
+                            <li>
+                                <a href="${Utils.sanitize(option.apply_link)}" target="_blank" rel="noopener noreferrer">
+                                    ${Utils.sanitize(option.publisher || option.apply_link)}
+                                </a>
+                                ${option.is_direct
+                                    ? '<span class="direct-apply-indicator">Employer site</span>'
+                                    : '<span class="apply-option-aggregator">Job board</span>'}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+
             <div class="job-detail-actions">
                 <button class="btn btn-secondary save-detail-btn"
                         onclick="SavedJobs.toggleSave('${Utils.sanitize(job.job_id)}'); UI.refreshDetailSaveBtn('${Utils.sanitize(job.job_id)}');">
                     ${isSaved ? 'Unsave' : 'Save Job'}
                 </button>
-                <a href="${Utils.sanitize(job.job_apply_link || '#')}"
+                ${job.employer_name && !job._blockedReason ? `
+                    <button class="btn btn-secondary hide-employer-btn"
+                            onclick="if (Blocklist.hideEmployer(window._currentDetailJob)) { UI.closeJobDetail(); App.refreshResults(); }">
+                        Hide Employer
+                    </button>
+                ` : ''}
+                <a href="${Utils.sanitize(Utils.getApplyLink(job))}"
                    target="_blank"
                    rel="noopener noreferrer"
                    class="btn btn-primary">
@@ -275,19 +630,9 @@ const UI = (() => {
             <div style="margin-top: var(--space-3); font-size: var(--font-size-xs); color: var(--color-gray-400);">
                 Posted: ${Utils.formatRelativeDate(job.job_posted_at_datetime_utc)}
                 ${job.job_publisher ? ` | via ${Utils.sanitize(job.job_publisher)}` : ''}
+                ${alsoOn ? ` | ${alsoOn}` : ''}
             </div>
         `;
-
-        modal.hidden = false;
-        document.body.style.overflow = 'hidden';
-
-        // Store job data for save functionality
-        modal.dataset.currentJobId = job.job_id;
-        window._currentDetailJob = job;
-
-        // Focus the close button
-        const closeBtn = document.getElementById('modal-close-btn');
-        if (closeBtn) closeBtn.focus();
     }
 
     /**
@@ -323,6 +668,8 @@ const UI = (() => {
         const resultsHeader = document.getElementById('results-header');
         const pagination = document.getElementById('pagination');
         const rateLimitWarning = document.getElementById('rate-limit-warning');
+        const failureBanner = document.getElementById('query-failure-banner');
+        const skillFacets = document.getElementById('skills-facets');
 
         // Hide all states
         states.forEach(id => {
@@ -330,6 +677,9 @@ const UI = (() => {
             if (el) el.hidden = true;
         });
         if (rateLimitWarning) rateLimitWarning.hidden = true;
+        // Only results and the empty state describe a finished search
+        if (failureBanner && state !== 'results' && state !== 'empty') failureBanner.hidden = true;
+        if (skillFacets && state !== 'results' && state !== 'empty') skillFacets.hidden = true;
 
         switch (state) {
             case 'loading':
@@ -375,6 +725,12 @@ const UI = (() => {
 
             case 'rate-limited':
                 if (rateLimitWarning) rateLimitWarning.hidden = false;
+                const rateLimitText = document.getElementById('rate-limit-text');
+                if (rateLimitText) {
+                    rateLimitText.textContent = options.retryAfterMs
+                        ? `Rate limit reached. Please wait about ${Math.ceil(options.retryAfterMs / 1000)} seconds before searching again.`
+                        : 'Rate limit reached. Please wait a moment before searching again.';
+                }
                 break;
         }
     }
@@ -383,10 +739,12 @@ const UI = (() => {
      * Update results header with count and category breakdown
      * @param {number} total - Total number of results
      * @param {Object} breakdown - Category breakdown
+     * @param {Array<Object>} providers - Providers that served the results
      */
-    function updateResultsHeader(total, breakdown = {}) {
+    function updateResultsHeader(total, breakdown = {}, providers = []) {
         const countEl = document.getElementById('results-count');
         const categoriesEl = document.getElementById('results-categories');
+        const sourceEl = document.getElementById('results-source');
 
         if (countEl) {
             countEl.textContent = `${total} job${total !== 1 ? 's' : ''} found`;
@@ -400,6 +758,161 @@ const UI = (() => {
             });
             categoriesEl.innerHTML = parts.join('');
         }
+
+        if (sourceEl) {
+            const labels = providers.map(p => {
+                if (p.isFixture) return `${p.label} (replay)`;
+                return p.isFallback ? `${p.label} (fallback)` : p.label;
+            });
+            sourceEl.textContent = labels.length > 0 ? `Source: ${labels.join(', ')}` : '';
+            sourceEl.classList.toggle('results-source-fallback', providers.some(p => p.isFallback));
+        }
+    }
+
+    /**
+     * Say how many jobs the blocklist hid, with a button to show or hide them
+     * @param {number} count - Jobs hidden by the blocklist
+     * @param {boolean} showing - Whether they are currently shown
+     */
+    function updateBlockedNotice(count, showing) {
+        document.querySelectorAll('.blocked-notice').forEach(notice => {
+            notice.hidden = count === 0;
+            const text = notice.querySelector('.blocked-notice-text');
+            const btn = notice.querySelector('.toggle-blocked-btn');
+            if (text) {
+                text.textContent = `${count} job${count !== 1 ? 's' : ''} ${showing ? 'matching' : 'hidden by'} your blocklist${showing ? ' shown' : ''}.`;
+            }
+            if (btn) btn.textContent = showing ? 'Hide them' : 'Show';
+        });
+    }
+
+    /**
+     * Show whether the results came from the persistent cache, and how old they are
+     * @param {Object|null} cacheInfo - Session cache info: { hits, stale, oldestCachedAt,
+     *                                  newerAvailable: background revalidation stored newer data }
+     */
+    function updateCacheStatus(cacheInfo) {
+        const container = document.getElementById('results-cache');
+        const textEl = document.getElementById('results-cache-text');
+        const newerBtn = document.getElementById('show-newer-btn');
+        if (!container || !textEl) return;
+
+        if (!cacheInfo || cacheInfo.hits === 0) {
+            container.hidden = true;
+            return;
+        }
+
+        const age = Utils.formatRelativeDate(new Date(cacheInfo.oldestCachedAt).toISOString());
+        if (cacheInfo.newerAvailable) {
+            textEl.textContent = `Cached results (${age}). Newer results are available.`;
+        } else {
+            textEl.textContent = cacheInfo.stale
+                ? `Cached results (${age}, may be outdated)`
+                : `Cached results (${age})`;
+        }
+        if (newerBtn) newerBtn.hidden = !cacheInfo.newerAvailable;
+        container.classList.toggle('results-cache-stale', cacheInfo.stale);
+        container.hidden = false;
+    }
+
+    /**
+     * Update the "X fetched / more available" status and the load-more button
+     * @param {number} fetched - Unique jobs fetched from the source so far
+     * @param {boolean} hasMore - Whether more source pages are available within budget
+     * @param {boolean} loading - Whether a load is in progress
+     * @param {number} duplicates - Copies on other publishers merged into fetched jobs
+     */
+    function updateFetchStatus(fetched, hasMore, loading = false, duplicates = 0) {
+        const textEl = document.getElementById('results-fetched-text');
+
+        if (textEl) {
+            const merged = duplicates > 0 ? ` (${duplicates} duplicate${duplicates !== 1 ? 's' : ''} merged)` : '';
+            textEl.textContent = `${fetched} fetched${merged}${hasMore ? ' / more available' : ''}`;
+        }
+
+        // One button in the results header, one in the empty state
+        document.querySelectorAll('.load-more-btn').forEach(btn => {
+            btn.hidden = !hasMore;
+            btn.disabled = loading;
+            btn.textContent = loading ? 'Loading...' : 'Load more from source';
+        });
+    }
+
+    /**
+     * Show what each planned query contributed, and the "N of M queries failed"
+     * banner when some of them failed
+     * @param {Array<Object>} report - Per-query report from JobsAPI.getQueryReport
+     * @param {boolean} retrying - Whether failed queries are being retried
+     */
+    function updateQueryReport(report = [], retrying = false) {
+        renderQueryBreakdown(report);
+
+        const banner = document.getElementById('query-failure-banner');
+        const textEl = document.getElementById('query-failure-text');
+        const retryBtn = document.getElementById('retry-failed-btn');
+        if (!banner || !textEl) return;
+
+        const run = report.filter(q => q.status !== 'pending');
+        const failed = report.filter(q => q.error);
+        if (failed.length === 0) {
+            banner.hidden = true;
+            return;
+        }
+
+        textEl.textContent = `${failed.length} of ${run.length} quer${run.length !== 1 ? 'ies' : 'y'} failed — results may be incomplete.`;
+        // Each failed query and why, on hover
+        banner.title = failed.map(q => `"${q.query}": ${q.error.message}`).join('\n');
+
+        if (retryBtn) {
+            retryBtn.disabled = retrying;
+            retryBtn.textContent = retrying ? 'Retrying...' : 'Retry failed queries';
+        }
+        banner.hidden = false;
+    }
+
+    /**
+     * Fill the results header's per-query breakdown
+     * @param {Array<Object>} report - Per-query report from JobsAPI.getQueryReport
+     */
+    function renderQueryBreakdown(report) {
+        const container = document.getElementById('query-report');
+        const summaryEl = document.getElementById('query-report-summary');
+        const listEl = document.getElementById('query-report-list');
+        if (!container || !summaryEl || !listEl) return;
+
+        if (report.length === 0) {
+            container.hidden = true;
+            return;
+        }
+
+        const run = report.filter(q => q.status !== 'pending' && q.status !== 'skipped').length;
+        const skipped = report.filter(q => q.status === 'skipped').length;
+        summaryEl.textContent = run === report.length
+            ? `${report.length} quer${report.length !== 1 ? 'ies' : 'y'}`
+            : `${run} of ${report.length} planned queries run`;
+        if (skipped > 0) {
+            summaryEl.textContent += ` (${skipped} skipped: searches run at most ${CONFIG.QUERY_PLANNING.maxQueries})`;
+        }
+
+        listEl.innerHTML = report.map(q => {
+            let outcome;
+            if (q.status === 'pending') {
+                outcome = 'not run yet';
+            } else if (q.status === 'skipped') {
+                outcome = 'skipped: over the query limit';
+            } else if (q.status === 'failed') {
+                outcome = `failed: ${q.error.message}`;
+            } else {
+                outcome = `${q.jobsFound} new job${q.jobsFound !== 1 ? 's' : ''} from ${q.pagesFetched} page${q.pagesFetched !== 1 ? 's' : ''}`;
+            }
+            return `
+                <li class="query-report-${q.status}">
+                    <span class="query-report-query">${Utils.sanitize(q.query)}${q.remoteOnly ? ' (remote)' : ''}</span>
+                    <span class="query-report-outcome">${Utils.sanitize(outcome)}</span>
+                </li>
+            `;
+        }).join('');
+        container.hidden = false;
     }
 
     /**
@@ -435,6 +948,66 @@ const UI = (() => {
         });
     }
 
+    /**
+     * Update the monthly API usage meter in the header
+     */
+    function updateUsageMeter() {
+        const meter = document.getElementById('usage-meter');
+        const countEl = document.getElementById('usage-count');
+        if (!meter || !countEl) return;
+
+        const used = Quota.getUsage().requests;
+        const budget = Quota.getBudget();
+        const level = Quota.getLevel();
+
+        countEl.textContent = `${used}/${budget}`;
+        meter.classList.remove('usage-warning', 'usage-critical', 'usage-exceeded');
+        if (level !== 'ok') meter.classList.add(`usage-${level}`);
+        meter.setAttribute('aria-label', `${used} of ${budget} API requests used this month`);
+    }
+
+    /**
+     * Show what a search will cost before it runs
+     * @param {number|null} cost - Estimated API requests, or null to clear
+     */
+    function updateSearchCost(cost) {
+        const el = document.getElementById('search-cost');
+        if (!el) return;
+
+        if (cost === null) {
+            el.textContent = '';
+            return;
+        }
+
+        const remaining = Quota.getRemaining();
+        const usage = `${Quota.getUsage().requests} of ${Quota.getBudget()} used this month`;
+        let text;
+        if (cost === 0) {
+            text = `This search is fully cached (no API requests). ${usage}.`;
+        } else if (remaining === 0) {
+            text = `Monthly API budget reached: only cached searches will run. ${usage}.`;
+        } else {
+            text = `This search will use up to ${cost} API request${cost !== 1 ? 's' : ''}. ${usage}.`;
+        }
+
+        el.textContent = text;
+        el.classList.toggle('search-cost-warning', cost > remaining);
+    }
+
+    /**
+     * Show search syntax errors under the search box
+     * @param {Array<string>} errors - Messages from Filters.parseSearchQuery (empty to clear)
+     */
+    function showQueryErrors(errors) {
+        const el = document.getElementById('search-query-error');
+        const input = document.getElementById('search-keywords');
+        if (!el) return;
+
+        el.textContent = errors.join(' ');
+        el.hidden = errors.length === 0;
+        if (input) input.setAttribute('aria-invalid', errors.length > 0 ? 'true' : 'false');
+    }
+
     /**
      * Update the alerts count badge in navigation
      */
@@ -455,7 +1028,8 @@ const UI = (() => {
         const text = btn?.querySelector('.search-btn-text');
         const spinner = btn?.querySelector('.search-btn-loading');
 
-        if (btn) btn.disabled = loading;
+        // The button stays enabled: submitting again supersedes the running search
+        if (btn) btn.setAttribute('aria-busy', String(loading));
         if (text) text.hidden = loading;
         if (spinner) spinner.hidden = !loading;
     }
@@ -463,15 +1037,24 @@ const UI = (() => {
     return {
         initImageObserver,
         createJobCard,
+        renderAlsoOn,
         renderJobCards,
         showJobDetail,
         closeJobDetail,
         refreshDetailSaveBtn,
+        refreshDetailHeadquarters,
         showState,
         updateResultsHeader,
+        updateFetchStatus,
+        updateQueryReport,
+        updateCacheStatus,
         updatePagination,
         updateSavedCount,
         updateAlertsCount,
+        updateUsageMeter,
+        updateSearchCost,
+        updateBlockedNotice,
+        showQueryErrors,
         setSearchLoading
     };
 })();
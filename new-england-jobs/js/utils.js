@@ -3,6 +3,36 @@
  */
 
 const Utils = (() => {
+    // Pay periods: multiplier to a year (2080 work hours, 260 work days), display
+    // label, and the plausible range of a single amount for that period
+    const SALARY_PERIODS = {
+        HOUR: { perYear: 2080, label: 'hr', minAmount: 5, maxAmount: 500 },
+        DAY: { perYear: 260, label: 'day', minAmount: 40, maxAmount: 5000 },
+        WEEK: { perYear: 52, label: 'wk', minAmount: 200, maxAmount: 20000 },
+        MONTH: { perYear: 12, label: 'mo', minAmount: 800, maxAmount: 100000 },
+        YEAR: { perYear: 1, label: 'yr', minAmount: 10000, maxAmount: 2000000 }
+    };
+
+    const SALARY_PERIOD_WORDS = {
+        HOUR: /^(hour|hr|hourly)$/,
+        DAY: /^(day|daily)$/,
+        WEEK: /^(week|wk|weekly)$/,
+        MONTH: /^(month|mo|monthly)$/,
+        YEAR: /^(year|yr|annum|annually|yearly)$/
+    };
+
+    // "$25", "$25.50", "$60k" or "$60,000", optionally a range, then a period
+    const SALARY_TEXT_PATTERN = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*(k)?(?:\s*(?:-|–|—|to)\s*\$?\s?(\d[\d,]*(?:\.\d+)?)\s*(k)?)?\s*(?:(?:\/\s*|per\s+|an?\s+)(hour|hr|day|week|wk|month|mo|year|yr|annum)\b|(hourly|daily|weekly|monthly|annually|yearly)\b)/gi;
+
+    // A lone amount after these words is a ceiling: "up to $500 a week"
+    const SALARY_CEILING_PATTERN = /\b(?:up\s+to|max(?:imum)?|as\s+much\s+as|no\s+more\s+than)\s*:?\s*$/i;
+
+    // Wording in the same sentence that marks an amount as the pay, or as some other payment
+    const SALARY_CONTEXT_PATTERN = /\b(?:pay|salary|compensation|wages?|rate|base|pay\s+range)\b/i;
+    const NON_SALARY_CONTEXT_PATTERN = /\b(?:bonus(?:es)?|stipends?|reimburse\w*|allowances?|sign[-\s]?on|referral|relocation|tuition)\b/i;
+
+    const PREFERENCES_KEY = 'ne_jobs_preferences';
+
     /**
      * Sanitize a string for safe HTML insertion (prevent XSS)
      * @param {string} str - Raw string
@@ -15,6 +45,21 @@ const Utils = (() => {
         return div.innerHTML;
     }
 
+    /**
+     * Escape a string for use inside a quoted HTML attribute. Unlike sanitize,
+     * this also escapes quotes, so the value can't end the attribute early.
+     * @param {string} str - Raw string
+     * @returns {string} Attribute-safe string
+     */
+    function escapeAttribute(str) {
+        return String(str || '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     /**
      * Format a date string relative to now
      * @param {string} dateStr - ISO date string
@@ -44,16 +89,148 @@ const Utils = (() => {
      * @returns {string} Formatted salary range
      */
     function formatSalary(min, max) {
-        if (!min && !max) return '';
-        const format = (n) => {
+        return formatSalaryRange(min, max, (n) => {
             if (n >= 1000) return '$' + Math.round(n / 1000) + 'k';
             return '$' + n;
-        };
+        });
+    }
+
+    /**
+     * Format a salary range with a given amount formatter
+     * @param {number|null} min - Minimum
+     * @param {number|null} max - Maximum
+     * @param {Function} format - Formats one amount
+     * @returns {string} Formatted range
+     */
+    function formatSalaryRange(min, max, format) {
+        if (!min && !max) return '';
         if (min && max) return `${format(min)} - ${format(max)}`;
         if (min) return `${format(min)}+`;
         return `Up to ${format(max)}`;
     }
 
+    /**
+     * Normalize a pay period name ('HOUR', 'hourly', 'per year'...)
+     * @param {string} value - Period as given by a provider or text
+     * @returns {string|null} 'HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR' or null
+     */
+    function normalizeSalaryPeriod(value) {
+        const text = String(value || '').trim();
+        if (SALARY_PERIODS[text.toUpperCase()]) return text.toUpperCase();
+        const word = text.toLowerCase().replace(/^(per|an?)\s+/, '');
+        return Object.keys(SALARY_PERIOD_WORDS).find(p => SALARY_PERIOD_WORDS[p].test(word)) || null;
+    }
+
+    /**
+     * Parse a pay rate with its period from free text, e.g. "$25 - $35 per hour",
+     * "$5,000/month", "$60k-$80k annually" or "up to $500 a week". When several
+     * amounts are stated, the first one in a sentence about pay or salary wins,
+     * else the first one; amounts for a bonus, stipend or reimbursement are ignored.
+     * @param {string} text - Job description
+     * @returns {Object|null} { min, max, period } or null if none is stated
+     */
+    function parseSalaryText(text) {
+        const source = String(text || '');
+        const amount = (digits, k) => {
+            if (!digits) return null;
+            const n = parseFloat(digits.replace(/,/g, ''));
+            return k ? n * 1000 : n;
+        };
+
+        let best = null;
+        for (const match of source.matchAll(SALARY_TEXT_PATTERN)) {
+            const period = normalizeSalaryPeriod(match[5] || match[6]);
+            if (!period) continue;
+
+            // The sentence around the amount, without the amount itself
+            const end = match.index + match[0].length;
+            const before = source.slice(0, match.index).split(/[.;!?]\s|\n/).pop();
+            const after = source.slice(end).split(/[.;!?]\s|\n/)[0];
+            const context = `${before} ${after}`;
+            const score = (SALARY_CONTEXT_PATTERN.test(context) ? 1 : 0) -
+                (NON_SALARY_CONTEXT_PATTERN.test(context) ? 2 : 0);
+            if (score < 0 || (best && score <= best.score)) continue;
+
+            let min = amount(match[1], match[2]);
+            let max = amount(match[3], match[4]);
+            if (!max && SALARY_CEILING_PATTERN.test(before)) [min, max] = [null, min];
+            best = { score, salary: { min, max: max || null, period } };
+        }
+        return best ? best.salary : null;
+    }
+
+    /**
+     * Get a job's pay with its period and annualized equivalents. The period comes
+     * from the provider (job_salary_period), else from the description text, else
+     * is inferred from the amount (under $300 is taken as hourly).
+     * @param {Object} job - Job object
+     * @returns {Object|null} { min, max, period, periodSource: 'provider'|'description'|'inferred',
+     *                          annualMin, annualMax }, or null when no pay is known
+     */
+    function getSalary(job) {
+        let min = Number(job.job_min_salary) || null;
+        let max = Number(job.job_max_salary) || null;
+        let period = normalizeSalaryPeriod(job.job_salary_period);
+        let periodSource = 'provider';
+        const fromText = parseSalaryText(job.job_description);
+
+        if (!min && !max) {
+            if (!fromText) return null;
+            ({ min, max, period } = fromText);
+            periodSource = 'description';
+        } else if (!period) {
+            const amount = max || min;
+            if (fromText && amount <= SALARY_PERIODS[fromText.period].maxAmount && amount >= SALARY_PERIODS[fromText.period].minAmount) {
+                period = fromText.period;
+                periodSource = 'description';
+            } else {
+                period = amount < 300 ? 'HOUR' : 'YEAR';
+                periodSource = 'inferred';
+            }
+        }
+        if (min && max && min > max) [min, max] = [max, min];
+
+        const perYear = SALARY_PERIODS[period].perYear;
+        return {
+            min,
+            max,
+            period,
+            periodSource,
+            annualMin: min ? Math.round(min * perYear) : null,
+            annualMax: max ? Math.round(max * perYear) : null
+        };
+    }
+
+    /**
+     * Get the annualized pay used to filter and sort by salary
+     * @param {Object} job - Job object
+     * @returns {Object} { min, max } annual amounts (null when unknown)
+     */
+    function getAnnualSalary(job) {
+        const salary = job._salary !== undefined ? job._salary : getSalary(job);
+        return { min: salary?.annualMin || null, max: salary?.annualMax || null };
+    }
+
+    /**
+     * Format a job's pay as stated, plus its yearly equivalent when it isn't yearly,
+     * e.g. "$25 - $35/hr (~$52k - $73k/yr)"
+     * @param {Object} job - Job object
+     * @returns {string} Formatted salary ('' when unknown)
+     */
+    function formatJobSalary(job) {
+        const salary = getSalary(job);
+        if (!salary) return '';
+        if (salary.period === 'YEAR') return formatSalary(salary.min, salary.max);
+
+        // Exact amounts: rounding $22.50/hr or $1,200/wk to "k" would lose the figure
+        const exact = n => '$' + n.toLocaleString('en-US', {
+            minimumFractionDigits: Number.isInteger(n) ? 0 : 2,
+            maximumFractionDigits: 2
+        });
+        const { label } = SALARY_PERIODS[salary.period];
+        return `${formatSalaryRange(salary.min, salary.max, exact)}/${label} (~${formatSalary(salary.annualMin, salary.annualMax)}/yr)`;
+    }
+
     /**
      * Debounce a function call
      * @param {Function} fn - Function to debounce
@@ -107,39 +284,23 @@ const Utils = (() => {
     }
 
     /**
-     * Get data from sessionStorage (for caching)
-     * @param {string} key - Storage key
-     * @returns {*|null} Parsed value or null
+     * Get user preferences (stored values over CONFIG.DEFAULT_PREFERENCES)
+     * @returns {Object} Preferences
      */
-    function getSessionCache(key) {
-        try {
-            const item = sessionStorage.getItem(key);
-            if (!item) return null;
-            const parsed = JSON.parse(item);
-            if (Date.now() - parsed.timestamp > CONFIG.CACHE_DURATION_MS) {
-                sessionStorage.removeItem(key);
-                return null;
-            }
-            return parsed.data;
-        } catch {
-            return null;
-        }
+    function getPreferences() {
+        return { ...CONFIG.DEFAULT_PREFERENCES, ...getStorage(PREFERENCES_KEY, {}) };
     }
 
     /**
-     * Set data in sessionStorage (for caching)
-     * @param {string} key - Storage key
-     * @param {*} data - Data to cache
+     * Store a single user preference
+     * @param {string} key - Preference name (see CONFIG.DEFAULT_PREFERENCES)
+     * @param {*} value - Value to store
+     * @returns {boolean} Success
      */
-    function setSessionCache(key, data) {
-        try {
-            sessionStorage.setItem(key, JSON.stringify({
-                data: data,
-                timestamp: Date.now()
-            }));
-        } catch {
-            // SessionStorage full or not available - silently fail
-        }
+    function setPreference(key, value) {
+        const stored = getStorage(PREFERENCES_KEY, {});
+        stored[key] = value;
+        return setStorage(PREFERENCES_KEY, stored);
     }
 
     /**
@@ -156,20 +317,29 @@ const Utils = (() => {
     /**
      * Convert job data to CSV format
      * @param {Array} jobs - Array of job objects
+     * @param {Function} getCategoryLabel - Maps a job to its category label (supplied by the caller,
+     *                                      since Utils loads before Filters and Regions)
      * @returns {string} CSV string
      */
-    function jobsToCSV(jobs) {
-        const headers = ['Title', 'Company', 'Location', 'Type', 'Salary', 'Posted', 'Apply Link', 'Notes'];
+    function jobsToCSV(jobs, getCategoryLabel = () => '') {
+        const headers = ['Title', 'Company', 'Location', 'Category', 'Type', 'Salary', 'Annual Salary Min', 'Annual Salary Max', 'Posted', 'Apply Link', 'Direct Apply', 'All Apply Links', 'Notes'];
         const rows = jobs.map(item => {
             const job = item.job_data || item;
+            const applyOptions = getApplyOptions(job);
+            const salary = getSalary(job);
             return [
                 escapeCSV(job.job_title || ''),
                 escapeCSV(job.employer_name || ''),
                 escapeCSV(getJobLocation(job)),
+                escapeCSV(getCategoryLabel(job)),
                 escapeCSV(job.job_employment_type || ''),
-                escapeCSV(formatSalary(job.job_min_salary, job.job_max_salary)),
+                escapeCSV(formatJobSalary(job)),
+                escapeCSV(String(salary?.annualMin || '')),
+                escapeCSV(String(salary?.annualMax || '')),
                 escapeCSV(job.job_posted_at_datetime_utc || ''),
                 escapeCSV(job.job_apply_link || ''),
+                escapeCSV(applyOptions.some(o => o.is_direct) ? 'Yes' : 'No'),
+                escapeCSV(applyOptions.map(o => `${o.publisher || 'Link'}${o.is_direct ? ' (direct)' : ''}: ${o.apply_link}`).join('; ')),
                 escapeCSV(item.notes || '')
             ];
         });
@@ -187,6 +357,53 @@ const Utils = (() => {
         return `"${escaped}"`;
     }
 
+    /**
+     * Get every distinct apply option for a job, including its copies on other
+     * publishers, the employer's own pages first
+     * @param {Object} job - Job object
+     * @returns {Array<Object>} Options: { publisher, apply_link, is_direct }
+     */
+    function getApplyOptions(job) {
+        const options = [];
+        const seen = new Set();
+        const add = (publisher, link, isDirect) => {
+            if (!link || seen.has(link)) return;
+            seen.add(link);
+            options.push({ publisher: publisher || '', apply_link: link, is_direct: Boolean(isDirect) });
+        };
+
+        for (const copy of [job, ...(job._duplicates || [])]) {
+            (copy.apply_options || []).forEach(o => add(o.publisher, o.apply_link, o.is_direct));
+            add(copy.job_publisher, copy.job_apply_link, copy.job_apply_is_direct);
+        }
+
+        // Stable sort keeps the provider's order within each group
+        return options.sort((a, b) => Number(b.is_direct) - Number(a.is_direct));
+    }
+
+    /**
+     * Whether a job can be applied for on the employer's own site
+     * @param {Object} job - Job object
+     * @returns {boolean} Whether a direct apply option exists
+     */
+    function hasDirectApply(job) {
+        return getApplyOptions(job).some(o => o.is_direct);
+    }
+
+    /**
+     * Get the link the Apply buttons open: the employer's own page when the
+     * preferDirectApply preference is on and one exists, else the provider's main link
+     * @param {Object} job - Job object
+     * @param {boolean} preferDirect - Prefer direct links (defaults to the user preference)
+     * @returns {string} URL ('#' if the job has none)
+     */
+    function getApplyLink(job, preferDirect = getPreferences().preferDirectApply) {
+        const options = getApplyOptions(job);
+        const direct = preferDirect && options.find(o => o.is_direct);
+        if (direct) return direct.apply_link;
+        return job.job_apply_link || (options[0] && options[0].apply_link) || '#';
+    }
+
     /**
      * Get human-readable location for a job
      * @param {Object} job - Job object
@@ -255,16 +472,23 @@ const Utils = (() => {
 
     return {
         sanitize,
+        escapeAttribute,
         formatRelativeDate,
         formatSalary,
+        getSalary,
+        getAnnualSalary,
+        formatJobSalary,
         debounce,
         generateId,
         getStorage,
         setStorage,
-        getSessionCache,
-        setSessionCache,
         truncate,
+        getPreferences,
+        setPreference,
         jobsToCSV,
+        getApplyOptions,
+        hasDirectApply,
+        getApplyLink,
         getJobLocation,
         downloadFile,
         showToast,
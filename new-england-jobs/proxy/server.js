@@ -0,0 +1,262 @@
+/**
+ * New England Jobs - Key-Hiding API Proxy
+ *
+ * Holds the RapidAPI key server-side and forwards search and job-details calls, so the site can
+ * be shared without handing out the key. Applies the same rate-limit policy as
+ * the browser (CONFIG.RATE_LIMIT) and caches upstream responses in memory.
+ * Also serves the static site, so the pages and the proxy share one origin and
+ * the Content-Security-Policy `connect-src 'self'` covers it.
+ *
+ * Usage (Node 18+, no dependencies):
+ *   RAPIDAPI_KEY=your-key node proxy/server.js
+ *
+ * Environment:
+ *   RAPIDAPI_KEY          RapidAPI key (required)
+ *   PORT                  Port to listen on (default 8787)
+ *   ALLOWED_ORIGIN        CORS origin for cross-origin pages (default: same origin only)
+ *   RATE_LIMIT_MAX        Upstream requests per window (default 10)
+ *   RATE_LIMIT_WINDOW_MS  Rate limit window in ms (default 60000)
+ *   CACHE_TTL_MS          Response cache lifetime in ms (default 300000)
+ *   CACHE_MAX_ENTRIES     Responses kept in memory; the least recently used go first (default 500)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const API_KEY = process.env.RAPIDAPI_KEY || '';
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '';
+const STATIC_ROOT = path.resolve(__dirname, '..');
+
+// Mirrors CONFIG.RATE_LIMIT in js/config.js; the cache is shared by all clients
+const RATE_LIMIT = {
+    maxRequests: parseInt(process.env.RATE_LIMIT_MAX || '10', 10),
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10)
+};
+const CACHE_TTL_MS = parseInt(process.env.CACHE_TTL_MS || String(5 * 60 * 1000), 10);
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10);
+
+// Upstream hosts by provider id (matches PROVIDERS in js/api.js)
+const UPSTREAMS = {
+    'jsearch': 'jsearch.p.rapidapi.com',
+    'jobs-realtime': 'jobs-search-realtime-data.p.rapidapi.com'
+};
+
+const ALLOWED_ENDPOINTS = new Set(['search', 'job-details']);
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const requestLog = [];
+const cache = new Map();
+
+/**
+ * Check and record an upstream request against the rate limit
+ * @returns {number} 0 if allowed, otherwise seconds until a slot frees up
+ */
+function takeRateLimitSlot() {
+    const now = Date.now();
+    const windowStart = now - RATE_LIMIT.windowMs;
+    while (requestLog.length > 0 && requestLog[0] < windowStart) {
+        requestLog.shift();
+    }
+    if (requestLog.length >= RATE_LIMIT.maxRequests) {
+        return Math.ceil((requestLog[0] + RATE_LIMIT.windowMs - now) / 1000);
+    }
+    requestLog.push(now);
+    return 0;
+}
+
+/**
+ * Get a cached upstream response
+ * @param {string} key - Cache key (upstream URL)
+ * @returns {Object|null} Cached { status, body } or null
+ */
+function getCached(key) {
+    const entry = cache.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.timestamp > CACHE_TTL_MS) {
+        cache.delete(key);
+        return null;
+    }
+    // Re-insert so Map order stays least recently used first
+    cache.delete(key);
+    cache.set(key, entry);
+    return entry;
+}
+
+/**
+ * Cache an upstream response, evicting the least recently used entries
+ * beyond CACHE_MAX_ENTRIES so a long-running proxy doesn't grow without bound
+ * @param {string} key - Cache key (upstream URL)
+ * @param {Object} entry - { status, body, timestamp }
+ */
+function setCached(key, entry) {
+    cache.delete(key);
+    cache.set(key, entry);
+    while (cache.size > CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object|string} body - Body (object or pre-serialized JSON)
+ * @param {Object} headers - Extra headers
+ */
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Forward an API call to the upstream provider
+ * @param {http.ServerResponse} res - Response
+ * @param {string} providerId - Provider id from the path
+ * @param {string} endpoint - Endpoint from the path
+ * @param {URLSearchParams} params - Query parameters to forward
+ */
+async function handleApi(res, providerId, endpoint, params) {
+    const host = UPSTREAMS[providerId];
+    if (!host || !ALLOWED_ENDPOINTS.has(endpoint)) {
+        sendJSON(res, 404, { error: 'Unknown endpoint' });
+        return;
+    }
+
+    if (!API_KEY) {
+        sendJSON(res, 503, { error: 'Proxy has no RAPIDAPI_KEY configured' });
+        return;
+    }
+
+    const upstreamUrl = `https://${host}/${endpoint}?${params.toString()}`;
+    const cached = getCached(upstreamUrl);
+    if (cached) {
+        sendJSON(res, cached.status, cached.body, { 'X-Proxy-Cache': 'HIT' });
+        return;
+    }
+
+    const retryAfter = takeRateLimitSlot();
+    if (retryAfter > 0) {
+        sendJSON(res, 429, { error: 'RATE_LIMITED' }, { 'Retry-After': String(retryAfter) });
+        return;
+    }
+
+    let upstream;
+    try {
+        upstream = await fetch(upstreamUrl, {
+            headers: {
+                'X-RapidAPI-Key': API_KEY,
+                'X-RapidAPI-Host': host
+            }
+        });
+    } catch (error) {
+        sendJSON(res, 502, { error: `Could not reach ${host}` });
+        return;
+    }
+
+    let body;
+    try {
+        body = await upstream.text();
+    } catch (error) {
+        sendJSON(res, 502, { error: `Could not read the response from ${host}` });
+        return;
+    }
+
+    const headers = { 'X-Proxy-Cache': 'MISS' };
+    const upstreamRetryAfter = upstream.headers.get('retry-after');
+    if (upstreamRetryAfter) headers['Retry-After'] = upstreamRetryAfter;
+
+    if (upstream.ok) {
+        setCached(upstreamUrl, { status: upstream.status, body, timestamp: Date.now() });
+    }
+    sendJSON(res, upstream.status, body, headers);
+}
+
+/**
+ * Serve a file from the static site
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Request path
+ */
+function handleStatic(res, pathname) {
+    let relative = 'index.html';
+    if (pathname !== '/') {
+        try {
+            relative = decodeURIComponent(pathname).replace(/^\/+/, '');
+        } catch (error) {
+            // Malformed percent-encoding, e.g. "/%"
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+    }
+    const filePath = path.resolve(STATIC_ROOT, relative);
+
+    // Never serve files outside the site, or the proxy itself
+    if (!filePath.startsWith(STATIC_ROOT + path.sep) || filePath.startsWith(__dirname + path.sep)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (ALLOWED_ORIGIN) {
+        res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Proxy-Cache');
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET', 'Access-Control-Max-Age': '86400' });
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        sendJSON(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    // /api/<provider>/<endpoint>; /api/search is shorthand for JSearch
+    const match = url.pathname.match(/^\/api\/(?:([\w-]+)\/)?([\w-]+)$/);
+    if (match) {
+        handleApi(res, match[1] || 'jsearch', match[2], url.searchParams).catch(() => {
+            // Never let one request take the shared proxy down
+            if (!res.headersSent) {
+                sendJSON(res, 500, { error: 'Proxy error' });
+            } else {
+                res.end();
+            }
+        });
+        return;
+    }
+
+    handleStatic(res, url.pathname);
+});
+
+server.listen(PORT, () => {
+    console.log(`New England Jobs proxy listening on http://localhost:${PORT}`);
+    if (!API_KEY) {
+        console.warn('Warning: RAPIDAPI_KEY is not set; API calls will fail.');
+    }
+});